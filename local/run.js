@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Runs a connector from src/ locally with a synthetic GetMetricData or DescribeGetMetricData event,
+// with CloudWatch and STS replaced by in-process stand-ins. See README for usage.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { setCloudWatchClientFactory } = require('../src/common/cloudwatch');
+const { setStsClientFactory } = require('../src/common/sts');
+const { createStubCloudWatchClientFactory } = require('./stub-cloudwatch');
+const { createStubStsClientFactory } = require('./stub-sts');
+
+const USAGE = `
+Usage: node local/run.js <connector> [options] [arguments...]
+
+  <connector>          directory name under src/, e.g. timeshift, or path to a connector module
+  [arguments...]       LAMBDA() arguments; numbers are passed as numbers, anything else as strings
+
+Options:
+  --describe           send a DescribeGetMetricData event instead of GetMetricData
+  --start <time>       StartTime, ISO 8601 or epoch seconds (default: --end minus 3 hours)
+  --end <time>         EndTime, ISO 8601 or epoch seconds (default: now, rounded down to --period)
+  --period <seconds>   Period (default: 300)
+  --region <region>    region of the event (default: us-east-1)
+  --data <file>        JSON file of recorded series to serve instead of generated ones
+  --page-size <count>  datapoints the stand-in returns per GetMetricData page (default: 100800)
+  --stub <module>      module exporting a (region, { account, credentials }) => client factory to use in place
+                       of CloudWatch
+  --format <format>    table or json (default: table)
+`;
+
+const parseTime = (value) => {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw Error(`Unrecognised time '${value}', expected ISO 8601 or epoch seconds`);
+    }
+    return Math.floor(time / 1000);
+};
+
+const parseArgument = (value) => {
+    const number = Number(value);
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+};
+
+const resolveConnector = (connector) => {
+    const connectorDir = path.join(__dirname, '..', 'src', connector);
+    if (fs.existsSync(path.join(connectorDir, 'index.js'))) {
+        return path.join(connectorDir, 'index.js');
+    }
+    return path.resolve(connector);
+};
+
+const buildEvent = (options, Arguments) => {
+    if (options.describe) {
+        return { EventType: 'DescribeGetMetricData', region: options.region };
+    }
+    const Period = parseInt(options.period, 10);
+    const EndTime = options.end ? parseTime(options.end) : Math.floor(Date.now() / 1000 / Period) * Period;
+    const StartTime = options.start ? parseTime(options.start) : EndTime - 3 * 3600;
+
+    return {
+        EventType: 'GetMetricData',
+        region: options.region,
+        GetMetricDataRequest: { StartTime, EndTime, Period, Arguments },
+    };
+};
+
+const formatTable = (MetricDataResults) => {
+    const timestamps = [...new Set(MetricDataResults.flatMap((result) => result.Timestamps))].sort((a, b) => a - b);
+    const columns = MetricDataResults.map((result) => {
+        const valueMap = {};
+        result.Timestamps.forEach((ts, index) => {
+            valueMap[ts] = result.Values[index];
+        });
+        return { header: `${result.Label} (${result.StatusCode})`, valueMap };
+    });
+    const rows = [['Timestamp', ...columns.map((column) => column.header)]];
+    timestamps.forEach((ts) => {
+        const time = new Date(ts * 1000).toISOString();
+        rows.push([time, ...columns.map(({ valueMap }) => (valueMap[ts] === undefined ? '' : `${valueMap[ts]}`))]);
+    });
+    const widths = rows[0].map((_, index) => Math.max(...rows.map((row) => row[index].length)));
+
+    return rows.map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ')).join('\n');
+};
+
+const run = async () => {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            describe: { type: 'boolean', default: false },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            period: { type: 'string', default: '300' },
+            region: { type: 'string', default: 'us-east-1' },
+            data: { type: 'string' },
+            'page-size': { type: 'string', default: '100800' },
+            stub: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (options.help || positionals.length === 0) {
+        console.log(USAGE);
+        return;
+    }
+    const [connector, ...connectorArguments] = positionals;
+
+    if (options.stub) {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        setCloudWatchClientFactory(require(path.resolve(options.stub)));
+    } else {
+        const recorded = options.data ? JSON.parse(fs.readFileSync(options.data, 'utf8')) : {};
+        const pageSize = parseInt(options['page-size'], 10);
+        setCloudWatchClientFactory(createStubCloudWatchClientFactory({ recorded, pageSize }));
+    }
+    setStsClientFactory(createStubStsClientFactory());
+    process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || connector;
+
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const { handler } = require(resolveConnector(connector));
+    const response = await handler(buildEvent(options, connectorArguments.map(parseArgument)));
+
+    if (options.describe) {
+        console.log(response.Description || JSON.stringify(response, null, 2));
+    } else if (options.format === 'json' || !response.MetricDataResults) {
+        console.log(JSON.stringify(response, null, 2));
+    } else {
+        console.log(formatTable(response.MetricDataResults));
+    }
+    if (response.Error) {
+        process.exitCode = 1;
+    }
+};
+
+run().catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+});
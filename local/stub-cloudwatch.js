@@ -0,0 +1,267 @@
+// In-process stand-in for the getMetricData and getMetricStatistics calls of @aws-sdk/client-cloudwatch, serving either recorded
+// series loaded from a JSON file, or generated series that are deterministic for a given query and timestamp.
+// Generated series differ per region and account; recorded series are the same everywhere.
+//
+// Like CloudWatch, every statistic of a metric is calculated from the same samples: one per minute for generated
+// series, and the recorded values for recorded series. Datapoints start at StartTime, one per period.
+//
+// Recorded data file format, keyed by query Expression, '<Namespace>,<MetricName>' or '<Namespace>,<MetricName>,<Stat>':
+//   { "AWS/EC2,CPUUtilization": [{ "Label": "i-123", "Timestamps": [<epoch seconds or ISO string>...], "Values": [...] }] }
+// Values recorded for a statistic are that statistic already, and are only combined when a period covers several.
+// A recorded series can have a "Unit", returned by getMetricStatistics; generated series have no unit ("None").
+
+const SEARCH_SERIES_COUNT = 3;
+const SAMPLE_SECONDS = 60;
+const PERCENTILE_PATTERN = /^p(\d+(?:\.\d+)?)$/;
+const PERCENTILE_RANK_PATTERN = /^PR\(([^:]*):([^)]*)\)$/;
+// How values recorded for a statistic combine over a period covering several of them, averaged otherwise
+const COMBINED_STATS = { Sum: 'Sum', SampleCount: 'Sum', Minimum: 'Minimum', Maximum: 'Maximum' };
+
+const hashString = (value) => {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) % 2147483647;
+    }
+    return hash;
+};
+
+// Pseudo random number in [0, 1), the same for every call with the same seed and timestamp
+const randomAt = (seed, timestamp) => {
+    const x = Math.sin(seed * 12.9898 + timestamp * 78.233) * 43758.5453;
+    return x - Math.floor(x);
+};
+
+const generateValue = (seed, timestamp) => {
+    const dailyCycle = Math.sin((2 * Math.PI * timestamp) / 86400 + (seed % 24));
+    const base = 10 + (seed % 90);
+    return Math.max(0, base + base * 0.5 * dailyCycle + base * 0.1 * (randomAt(seed, timestamp) - 0.5));
+};
+
+const getSum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+// The statistic of the samples of one period. Statistics the stand-in doesn't know, e.g. trimmed means, are averages.
+const getStatistic = (values, stat) => {
+    const percentileMatch = PERCENTILE_PATTERN.exec(stat);
+    if (percentileMatch) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.ceil((parseFloat(percentileMatch[1]) / 100) * sorted.length);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+    }
+    const rankMatch = PERCENTILE_RANK_PATTERN.exec(stat);
+    if (rankMatch) {
+        const [bottom, top] = rankMatch.slice(1).map((bound) => (bound.trim() === '' ? undefined : Number(bound)));
+        const inRange = values.filter(
+            (value) => (bottom === undefined || value > bottom) && (top === undefined || value <= top)
+        );
+        return (100 * inRange.length) / values.length;
+    }
+    switch (stat) {
+        case 'SampleCount':
+            return values.length;
+        case 'Sum':
+            return getSum(values);
+        case 'Minimum':
+            return Math.min(...values);
+        case 'Maximum':
+            return Math.max(...values);
+        default:
+            return getSum(values) / values.length;
+    }
+};
+
+const getMetricKey = ({ Namespace, MetricName }) => `${Namespace},${MetricName}`;
+
+const getQueryKeys = (query) => {
+    if (query.Expression) {
+        return [query.Expression];
+    }
+    const { Metric, Stat } = query.MetricStat;
+    return [`${getMetricKey(Metric)},${Stat}`, getMetricKey(Metric)];
+};
+
+const getQueryPeriod = (query) => (query.MetricStat ? query.MetricStat.Period : query.Period) || 60;
+
+// Expressions are served as the average of their samples
+const getQueryStat = (query) => (query.MetricStat ? query.MetricStat.Stat : 'Average');
+
+// A series returns its samples in [start, end) with samplesIn(start, end)
+const getGeneratedSeries = (query, target) => {
+    const key = query.Expression || getMetricKey(query.MetricStat.Metric);
+    const timeSeriesMatch = /^TIME_SERIES\((.*)\)$/.exec(key);
+    if (timeSeriesMatch) {
+        const value = parseFloat(timeSeriesMatch[1]);
+        return [{ Label: query.Id, samplesIn: () => [value] }];
+    }
+    const seriesCount = /SEARCH\(/.test(key) ? SEARCH_SERIES_COUNT : 1;
+    const series = [];
+    for (let i = 0; i < seriesCount; i++) {
+        const seed = hashString(`${target}|${key}|${i}`);
+        series.push({
+            Label: seriesCount > 1 ? `${query.Id} ${i + 1}` : query.Label || query.Id,
+            samplesIn: (start, end) => {
+                const values = [];
+                for (
+                    let time = Math.ceil(start / SAMPLE_SECONDS) * SAMPLE_SECONDS;
+                    time < end;
+                    time += SAMPLE_SECONDS
+                ) {
+                    values.push(generateValue(seed, time));
+                }
+                return values;
+            },
+        });
+    }
+    return series;
+};
+
+// Returns the recorded series for the query, and whether their values are the query's statistic already
+const getRecordedSeries = (query, recorded) => {
+    const keys = getQueryKeys(query);
+    const key = keys.find((queryKey) => recorded[queryKey] !== undefined);
+    if (key === undefined) {
+        return null;
+    }
+    const series = recorded[key].map((recordedSeries) => {
+        const datapoints = recordedSeries.Timestamps.map((ts, index) => [
+            typeof ts === 'number' ? ts : new Date(ts).getTime() / 1000,
+            recordedSeries.Values[index],
+        ])
+            .filter(([, value]) => value !== undefined && value !== null)
+            .sort((a, b) => a[0] - b[0]);
+        // Index of the first datapoint at or after a time
+        const findFirst = (time) => {
+            let low = 0;
+            let high = datapoints.length;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (datapoints[middle][0] < time) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            return low;
+        };
+        return {
+            Label: recordedSeries.Label || query.Id,
+            Unit: recordedSeries.Unit,
+            samplesIn: (start, end) => datapoints.slice(findFirst(start), findFirst(end)).map(([, value]) => value),
+        };
+    });
+    return { series, isStat: !query.Expression && key === keys[0] };
+};
+
+const getSeries = (query, recorded, target) => {
+    const recordedSeries = getRecordedSeries(query, recorded);
+    const stat = getQueryStat(query);
+    if (recordedSeries === null) {
+        return { seriesList: getGeneratedSeries(query, target), stat };
+    }
+    return {
+        seriesList: recordedSeries.series,
+        stat: recordedSeries.isStat ? COMBINED_STATS[stat] || 'Average' : stat,
+    };
+};
+
+const toMetricDataResult = (query, series, stat, StartTime, EndTime) => {
+    const period = getQueryPeriod(query);
+    const Timestamps = [];
+    const Values = [];
+    for (let time = StartTime; time < EndTime; time += period) {
+        const values = series.samplesIn(time, time + period);
+        if (values.length > 0) {
+            Timestamps.push(new Date(time * 1000));
+            Values.push(getStatistic(values, stat));
+        }
+    }
+
+    // Like CloudWatch, default to newest datapoints first
+    return {
+        Id: query.Id,
+        Label: series.Label,
+        Timestamps: Timestamps.reverse(),
+        Values: Values.reverse(),
+        StatusCode: 'Complete',
+        Messages: [],
+    };
+};
+
+// Like CloudWatch, returns at most pageSize datapoints per call, with a NextToken to continue from
+const getPage = (MetricDataResults, pageSize, NextToken) => {
+    const pageStart = NextToken ? parseInt(NextToken, 10) : 0;
+    let offset = 0;
+    const pageResults = MetricDataResults.map((result) => {
+        const resultStart = Math.min(result.Values.length, Math.max(0, pageStart - offset));
+        const resultEnd = Math.max(resultStart, Math.min(result.Values.length, pageStart + pageSize - offset));
+        offset += result.Values.length;
+        return {
+            ...result,
+            Timestamps: result.Timestamps.slice(resultStart, resultEnd),
+            Values: result.Values.slice(resultStart, resultEnd),
+            StatusCode: resultEnd < result.Values.length ? 'PartialData' : 'Complete',
+        };
+    });
+    const hasMore = pageStart + pageSize < offset;
+
+    return { MetricDataResults: pageResults, NextToken: hasMore ? `${pageStart + pageSize}` : undefined, Messages: [] };
+};
+
+const createStubCloudWatchClientFactory = ({ recorded = {}, pageSize = 100800 } = {}) => {
+    return (region, { account, credentials } = {}) => {
+        // Same seed as before for the Lambda's own account, so existing generated data doesn't change
+        const target = account ? `${account}:${region}` : region;
+        return {
+            getMetricData: async ({ MetricDataQueries, StartTime, EndTime, NextToken }) => {
+                if (credentials) {
+                    // Resolve credentials like the SDK does, so assuming the role is exercised
+                    await credentials();
+                }
+                const MetricDataResults = [];
+                MetricDataQueries.filter((query) => query.ReturnData !== false).forEach((query) => {
+                    const { seriesList, stat } = getSeries(query, recorded, target);
+                    seriesList.forEach((series) => {
+                        MetricDataResults.push(
+                            toMetricDataResult(
+                                query,
+                                series,
+                                stat,
+                                StartTime.getTime() / 1000,
+                                EndTime.getTime() / 1000
+                            )
+                        );
+                    });
+                });
+                return getPage(MetricDataResults, pageSize, NextToken);
+            },
+            getMetricStatistics: async ({
+                Namespace,
+                MetricName,
+                Dimensions,
+                StartTime,
+                EndTime,
+                Period,
+                Statistics,
+            }) => {
+                if (credentials) {
+                    await credentials();
+                }
+                const query = { Id: 'm1', MetricStat: { Metric: { Namespace, MetricName, Dimensions }, Period } };
+                const [series] = getSeries(query, recorded, target).seriesList;
+                const Datapoints = [];
+                for (let time = StartTime.getTime() / 1000; time < EndTime.getTime() / 1000; time += Period) {
+                    const values = series.samplesIn(time, time + Period);
+                    if (values.length > 0) {
+                        const datapoint = { Timestamp: new Date(time * 1000), Unit: series.Unit || 'None' };
+                        Statistics.forEach((Stat) => {
+                            datapoint[Stat] = getStatistic(values, Stat);
+                        });
+                        Datapoints.push(datapoint);
+                    }
+                }
+                return { Label: MetricName, Datapoints };
+            },
+        };
+    };
+};
+
+module.exports = { createStubCloudWatchClientFactory };
@@ -0,0 +1,26 @@
+// In-process stand-in for the assumeRole call of @aws-sdk/client-sts, returning placeholder credentials
+// that are valid for an hour, so cross-account targets can be run locally against the CloudWatch stand-in.
+
+const CREDENTIALS_LIFETIME_SECONDS = 3600;
+
+const createStubStsClientFactory = () => {
+    return () => {
+        return {
+            assumeRole: async ({ RoleArn }) => {
+                if (!/^arn:[\w-]+:iam::\d{12}:role\/.+$/.test(RoleArn)) {
+                    throw Error(`Invalid RoleArn ${RoleArn}`);
+                }
+                return {
+                    Credentials: {
+                        AccessKeyId: 'ASIASTUBACCESSKEYID',
+                        SecretAccessKey: 'stub-secret-access-key',
+                        SessionToken: `stub-session-token-${RoleArn}`,
+                        Expiration: new Date(Date.now() + CREDENTIALS_LIFETIME_SECONDS * 1000),
+                    },
+                };
+            },
+        };
+    };
+};
+
+module.exports = { createStubStsClientFactory };
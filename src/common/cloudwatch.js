@@ -0,0 +1,109 @@
+const { getAccountCredentials } = require('./sts');
+
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_MAX_DATAPOINTS = 500000;
+const SECONDS_IN_DAY = 24 * 3600;
+
+// Periods CloudWatch can return data at once it is older than the given age: the requested period must be a multiple
+// of 60 seconds after 3 hours, of 5 minutes after 15 days and of 1 hour after 63 days
+const RETENTION_PERIODS = [
+    { age: 63 * SECONDS_IN_DAY, period: 3600 },
+    { age: 15 * SECONDS_IN_DAY, period: 300 },
+    { age: 3 * 3600, period: 60 },
+];
+
+const clientCache = {};
+
+// options.credentials, when set, is a credentials provider to use instead of the Lambda's own credentials
+const defaultCloudWatchClientFactory = (region, { credentials } = {}) => {
+    // Required lazily, so connectors that never call CloudWatch don't need the SDK to be available
+    // eslint-disable-next-line global-require
+    const cw = require('@aws-sdk/client-cloudwatch');
+    return new cw.CloudWatch({ region, credentials });
+};
+
+let cloudWatchClientFactory = defaultCloudWatchClientFactory;
+
+// Replaces how CloudWatch clients are created, e.g. to serve data from an in-process stand-in
+const setCloudWatchClientFactory = (factory) => {
+    cloudWatchClientFactory = factory || defaultCloudWatchClientFactory;
+    Object.keys(clientCache).forEach((cacheKey) => delete clientCache[cacheKey]);
+};
+
+// Clients are reused across warm Lambda invocations, one per region, or per account and region when reading from
+// another account, using credentials of the role assumed in that account (see sts.js)
+const getCloudWatchClient = (region, account) => {
+    const cacheKey = account ? `${account}:${region}` : region;
+    if (!clientCache[cacheKey]) {
+        const options = account ? { account, credentials: () => getAccountCredentials(account, region) } : {};
+        clientCache[cacheKey] = cloudWatchClientFactory(region, options);
+    }
+    return clientCache[cacheKey];
+};
+
+const getPageBudget = () => {
+    return {
+        maxPages: parseInt(process.env.MAX_GET_METRIC_DATA_PAGES, 10) || DEFAULT_MAX_PAGES,
+        maxDatapoints: parseInt(process.env.MAX_GET_METRIC_DATA_DATAPOINTS, 10) || DEFAULT_MAX_DATAPOINTS,
+    };
+};
+
+// Calls GetMetricData, following NextToken until all data is loaded or the page/datapoint budget is used up.
+// Timestamps and Values of each result are merged across pages, keyed by Id and Label (SEARCH expressions
+// return many results for the same Id). If the budget runs out, every result is marked as PartialData.
+// An abortSignal is passed on to every request, so aborting it stops the call as well as any further pages.
+const getAllMetricData = async (cloudwatch, params, { abortSignal, budget = getPageBudget() } = {}) => {
+    const resultMap = new Map();
+    const Messages = [];
+    let pageCount = 0;
+    let datapointCount = 0;
+    let NextToken;
+
+    do {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await cloudwatch.getMetricData({ ...params, NextToken }, { abortSignal });
+        pageCount++;
+        NextToken = response.NextToken;
+        Messages.push(...(response.Messages || []));
+
+        response.MetricDataResults.forEach((result) => {
+            const key = `${result.Id}|${result.Label}`;
+            const merged = resultMap.get(key);
+            datapointCount += result.Values.length;
+            if (merged) {
+                merged.Timestamps.push(...result.Timestamps);
+                merged.Values.push(...result.Values);
+                merged.StatusCode = result.StatusCode;
+                merged.Messages.push(...(result.Messages || []));
+            } else {
+                resultMap.set(key, {
+                    ...result,
+                    Timestamps: [...result.Timestamps],
+                    Values: [...result.Values],
+                    Messages: [...(result.Messages || [])],
+                });
+            }
+        });
+    } while (NextToken && pageCount < budget.maxPages && datapointCount < budget.maxDatapoints);
+
+    const MetricDataResults = [...resultMap.values()];
+    if (NextToken) {
+        const message = `Data truncated after ${pageCount} GetMetricData pages and ${datapointCount} datapoints`;
+        MetricDataResults.forEach((result) => {
+            /* eslint no-param-reassign: ["error", { "props": false }] */
+            result.StatusCode = 'PartialData';
+            result.Messages.push({ Code: 'PartialData', Value: message });
+        });
+    }
+
+    return { MetricDataResults, Messages };
+};
+
+// Returns the smallest multiple of the retained period, for data from the given timestamp on, that is at least Period
+const getRetainedPeriod = (timestamp, Period) => {
+    const age = Date.now() / 1000 - timestamp;
+    const retention = RETENTION_PERIODS.find((retentionPeriod) => age > retentionPeriod.age);
+    return retention ? Math.ceil(Period / retention.period) * retention.period : Period;
+};
+
+module.exports = { getCloudWatchClient, setCloudWatchClientFactory, getAllMetricData, getRetainedPeriod };
@@ -0,0 +1,84 @@
+// Shared runtime for data source connectors. A connector registers:
+//   name:            (optional) DataSourceConnectorName, defaults to the Lambda function name
+//   arguments:       list of { type, example, optional } - used to validate Arguments and build ArgumentDefaults
+//   description:     function ({ functionName, exampleArguments }) returning the markdown description
+//   parseArguments:  (optional) function (Arguments) returning the parsed arguments passed on to getMetricData
+//   getMetricData:   function (request, parsedArguments) returning { MetricDataResults }, where request holds
+//                    StartTime, EndTime, Period, Arguments and region of the event
+// and the runtime takes care of EventType dispatch, argument count/type checks, error responses and validation of
+// the GetMetricData response (see response.js).
+
+const { normaliseGetMetricDataResponse } = require('./response');
+
+const formatArgument = (arg) => (typeof arg === 'string' ? `'${arg}'` : arg);
+
+const getErrorResponse = (err) => {
+    const message = err.message || err;
+    const code = err.cause || 'InternalError';
+    return { Error: { Code: code, Value: message } };
+};
+
+const validateArguments = (argumentSpec, Arguments) => {
+    const requiredCount = argumentSpec.filter((arg) => !arg.optional).length;
+    if (Arguments.length < requiredCount || Arguments.length > argumentSpec.length) {
+        const expectedCount =
+            requiredCount === argumentSpec.length ? requiredCount : `${requiredCount} to ${argumentSpec.length}`;
+        throw Error(`Expected ${expectedCount} arguments, received ${Arguments.length}`, { cause: 'Validation' });
+    }
+
+    const typesMatch = Arguments.every((arg, index) => {
+        const { type } = argumentSpec[index];
+        return type === undefined || typeof arg === type;
+    });
+    if (!typesMatch) {
+        const expectedTypes = argumentSpec
+            .map(({ type, optional }) => {
+                const typeName = `<${type || 'any'}>`;
+                return optional ? `[${typeName}]` : typeName;
+            })
+            .join(', ');
+        throw Error(`Unexpected argument type, expected (${expectedTypes})`, { cause: 'Validation' });
+    }
+};
+
+const describeGetMetricDataEventHandler = (connector) => {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
+    const exampleArgumentsList = connector.arguments
+        .filter((arg) => arg.example !== undefined)
+        .map((arg) => arg.example);
+    const exampleArguments = exampleArgumentsList.map(formatArgument).join(', ');
+
+    return {
+        DataSourceConnectorName: connector.name || functionName,
+        ArgumentDefaults: exampleArgumentsList.map((arg) => {
+            return { Value: arg };
+        }),
+        Description: connector.description({ functionName, exampleArguments }),
+    };
+};
+
+const getMetricDataEventHandler = async (connector, event) => {
+    const request = { ...event.GetMetricDataRequest, region: event.region };
+    validateArguments(connector.arguments, request.Arguments);
+    const parsedArguments = connector.parseArguments ? connector.parseArguments(request.Arguments) : request.Arguments;
+
+    const response = await connector.getMetricData(request, parsedArguments);
+    return normaliseGetMetricDataResponse(response);
+};
+
+const createHandler = (connector) => async (event) => {
+    try {
+        switch (event.EventType) {
+            case 'GetMetricData':
+                return await getMetricDataEventHandler(connector, event);
+            case 'DescribeGetMetricData':
+                return describeGetMetricDataEventHandler(connector);
+            default:
+                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
+        }
+    } catch (err) {
+        return getErrorResponse(err);
+    }
+};
+
+module.exports = { createHandler };
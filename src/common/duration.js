@@ -0,0 +1,40 @@
+// ISO 8601 durations, e.g. P1Y, P1M, P2W, P7D, PT3H, PT1.5S. Years and months have no fixed length, so a duration
+// is kept as a number of calendar months plus a fixed number of seconds (weeks, days, hours, minutes and seconds).
+// Time parts must follow the T separator, so P1M is one month and PT1M one minute.
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const DURATION_PATTERN = new RegExp(
+    `^P(?:(\\d+)Y)?(?:(\\d+)M)?(?:${NUMBER}W)?(?:${NUMBER}D)?(?:T(?:${NUMBER}H)?(?:${NUMBER}M)?(?:${NUMBER}S)?)?$`
+);
+
+const parseISO8601Duration = (durationString) => {
+    const stringParts = DURATION_PATTERN.exec(durationString);
+    if (stringParts === null) {
+        throw Error(`Unrecognized ISO duration ${durationString}`, { cause: 'Validation' });
+    }
+    const [years, months, weeks, days, hours, mins, secs] = stringParts
+        .slice(1)
+        .map((part) => (part === undefined ? 0 : parseFloat(part)));
+
+    return {
+        months: years * 12 + months,
+        seconds: (((weeks * 7 + days) * 24 + hours) * 60 + mins) * 60 + secs,
+    };
+};
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Moves a timestamp back by a duration the given number of times, using UTC calendar arithmetic for months.
+// When the day doesn't exist in the target month, the last day of that month is used, e.g. Mar 31 - P1M is Feb 28/29.
+const subtractDuration = (epochSeconds, duration, times = 1) => {
+    const date = new Date(epochSeconds * 1000);
+    if (duration.months > 0) {
+        const dayOfMonth = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() - duration.months * times);
+        date.setUTCDate(Math.min(dayOfMonth, getDaysInMonth(date.getUTCFullYear(), date.getUTCMonth())));
+    }
+    return date.getTime() / 1000 - duration.seconds * times;
+};
+
+module.exports = { parseISO8601Duration, subtractDuration };
@@ -0,0 +1,24 @@
+const parseFullMetric = (fullMetricString) => {
+    const metricFields = fullMetricString.split(',').map((field) => field.trim());
+    if (metricFields.length < 2 || metricFields.length % 2 !== 0) {
+        throw Error(
+            `Malformed full metric name, expected <Namespace>,<MetricName>,<DimPair Name 1>,<DimPair Value 1>,... etc`,
+            { cause: 'Validation' }
+        );
+    }
+    const Namespace = decodeURIComponent(metricFields[0]);
+    const MetricName = decodeURIComponent(metricFields[1]);
+    const Dimensions = [];
+    for (let dimIndex = 2; dimIndex < metricFields.length - 1; dimIndex += 2) {
+        Dimensions.push({
+            Name: decodeURIComponent(metricFields[dimIndex]),
+            Value: decodeURIComponent(metricFields[dimIndex + 1]),
+        });
+    }
+    return { Namespace, MetricName, Dimensions };
+};
+
+// Metric math and SEARCH expressions start with a function, e.g. SEARCH(...) or SUM(SEARCH(...))
+const isExpression = (metricOrExpression) => /^[A-Z_]+\s*\(/i.test(metricOrExpression.trim());
+
+module.exports = { parseFullMetric, isExpression };
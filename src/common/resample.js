@@ -0,0 +1,96 @@
+const { toEpochSeconds } = require('./time');
+
+// Resampling of series onto the grid of the requested time range, StartTime + n * Period up to EndTime. Each
+// datapoint goes to the grid timestamp at or before it, datapoints that end up at the same grid timestamp are combined
+// with an aggregation, and grid timestamps without data are filled in or left out.
+
+const AGGREGATIONS = {
+    average: (values) => values.reduce((acc, value) => acc + value, 0) / values.length,
+    sum: (values) => values.reduce((acc, value) => acc + value, 0),
+    min: (values) => Math.min(...values),
+    max: (values) => Math.max(...values),
+    first: (values) => values[0],
+    last: (values) => values[values.length - 1],
+};
+
+// Each fill gets the value at every grid timestamp, undefined where there is no data, and returns them filled in.
+// Data sources can't return null values, so null leaves the gaps as missing data.
+const FILLS = {
+    null: (values) => values,
+    zero: (values) => values.map((value) => (value === undefined ? 0 : value)),
+    // Repeats the last value in gaps between datapoints. Gaps after the last one are left, rather than inventing data
+    // up to EndTime, which can be in the future.
+    last: (values) => {
+        const lastIndex = values.findLastIndex((value) => value !== undefined);
+        let lastValue;
+        return values.map((value, index) => {
+            lastValue = value === undefined ? lastValue : value;
+            return index <= lastIndex ? lastValue : undefined;
+        });
+    },
+    // Interpolates between the datapoints either side of a gap, so gaps before the first or after the last are left
+    linear: (values) => {
+        const filled = [...values];
+        let previous = -1;
+        values.forEach((value, index) => {
+            if (value === undefined) {
+                return;
+            }
+            for (let gap = previous + 1; previous >= 0 && gap < index; gap++) {
+                const fraction = (gap - previous) / (index - previous);
+                filled[gap] = values[previous] + (value - values[previous]) * fraction;
+            }
+            previous = index;
+        });
+        return filled;
+    },
+};
+
+// Parses '<fill>' or '<fill>:<aggregation>', e.g. 'linear' or 'zero:sum'
+const parseResampling = (resampling) => {
+    const [fill, aggregation = 'average'] = resampling.split(':').map((part) => part.trim());
+    if (!Object.keys(FILLS).includes(fill)) {
+        throw Error(`Unrecognised fill '${fill}', expected one of ${Object.keys(FILLS).join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    if (!Object.keys(AGGREGATIONS).includes(aggregation)) {
+        throw Error(
+            `Unrecognised aggregation '${aggregation}', expected one of ${Object.keys(AGGREGATIONS).join(', ')}`,
+            { cause: 'Validation' }
+        );
+    }
+    return { fill, aggregation };
+};
+
+// Returns the series with its datapoints on the grid, keeping its other fields. Timestamps can be epoch seconds or
+// the Date objects returned by the SDK, the resampled ones are epoch seconds.
+const resampleSeries = (series, { StartTime, EndTime, Period }, { fill = 'null', aggregation = 'average' } = {}) => {
+    const gridSize = Math.max(0, Math.ceil((EndTime - StartTime) / Period));
+    const gridDatapoints = Array.from({ length: gridSize }, () => []);
+    series.Timestamps.map((timestamp, index) => [
+        timestamp instanceof Date ? toEpochSeconds(timestamp) : timestamp,
+        series.Values[index],
+    ])
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([timestamp, value]) => {
+            if (timestamp >= StartTime && timestamp < EndTime) {
+                gridDatapoints[Math.floor((timestamp - StartTime) / Period)].push(value);
+            }
+        });
+
+    const gridValues = gridDatapoints.map((values) =>
+        values.length > 0 ? AGGREGATIONS[aggregation](values) : undefined
+    );
+    const Timestamps = [];
+    const Values = [];
+    FILLS[fill](gridValues).forEach((value, index) => {
+        if (value !== undefined) {
+            Timestamps.push(StartTime + index * Period);
+            Values.push(value);
+        }
+    });
+    return { ...series, Timestamps, Values };
+};
+
+module.exports = { parseResampling, resampleSeries };
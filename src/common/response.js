@@ -0,0 +1,84 @@
+// Validates and normalises the GetMetricData response of a connector before it is returned to CloudWatch:
+// - Status is accepted as an alias of StatusCode, which defaults to Complete
+// - Timestamps may be Date objects, and are converted to epoch seconds
+// - fields not part of the data source response, e.g. Id from GetMetricData SDK results, are dropped
+// Anything else not matching the response format is reported as an InternalError, rather than as a blank graph.
+
+const { toEpochSeconds } = require('./time');
+
+const VALID_STATUS_CODES = new Set(['Complete', 'PartialData', 'InternalError', 'Forbidden']);
+
+const throwInvalidResponse = (message) => {
+    throw Error(`Invalid connector response, ${message}`, { cause: 'InternalError' });
+};
+
+const normaliseTimestamp = (timestamp, path) => {
+    const epochSeconds = timestamp instanceof Date ? toEpochSeconds(timestamp) : timestamp;
+    if (typeof epochSeconds !== 'number' || !Number.isFinite(epochSeconds)) {
+        throwInvalidResponse(`${path} is not an epoch seconds timestamp: ${timestamp}`);
+    }
+    return epochSeconds;
+};
+
+const normaliseValue = (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throwInvalidResponse(`${path} is not a finite number: ${value}`);
+    }
+    return value;
+};
+
+const normaliseMessages = (messages, path) => {
+    if (!Array.isArray(messages)) {
+        throwInvalidResponse(`${path} is not an array`);
+    }
+    return messages.map((message, index) => {
+        if (typeof message.Code !== 'string' || typeof message.Value !== 'string') {
+            throwInvalidResponse(`${path}[${index}] must have string Code and Value`);
+        }
+        return { Code: message.Code, Value: message.Value };
+    });
+};
+
+const normaliseMetricDataResult = (result, index) => {
+    const path = `MetricDataResults[${index}]`;
+    const { Label, Timestamps, Values, Messages, Unit } = result;
+    const StatusCode = result.StatusCode || result.Status || 'Complete';
+
+    if (typeof Label !== 'string') {
+        throwInvalidResponse(`${path}.Label is not a string`);
+    }
+    if (!VALID_STATUS_CODES.has(StatusCode)) {
+        throwInvalidResponse(`${path}.StatusCode '${StatusCode}' is not one of ${[...VALID_STATUS_CODES].join(', ')}`);
+    }
+    if (!Array.isArray(Timestamps) || !Array.isArray(Values)) {
+        throwInvalidResponse(`${path} must have Timestamps and Values arrays`);
+    }
+    if (Timestamps.length !== Values.length) {
+        throwInvalidResponse(
+            `${path} ('${Label}') has ${Timestamps.length} Timestamps but ${Values.length} Values, expected equal lengths`
+        );
+    }
+
+    const normalised = {
+        StatusCode,
+        Label,
+        Timestamps: Timestamps.map((ts, tsIndex) => normaliseTimestamp(ts, `${path}.Timestamps[${tsIndex}]`)),
+        Values: Values.map((value, valueIndex) => normaliseValue(value, `${path}.Values[${valueIndex}]`)),
+    };
+    if (Messages !== undefined && Messages.length > 0) {
+        normalised.Messages = normaliseMessages(Messages, `${path}.Messages`);
+    }
+    if (Unit !== undefined) {
+        normalised.Unit = Unit;
+    }
+    return normalised;
+};
+
+const normaliseGetMetricDataResponse = (response) => {
+    if (!response || !Array.isArray(response.MetricDataResults)) {
+        throwInvalidResponse('expected an object with a MetricDataResults array');
+    }
+    return { MetricDataResults: response.MetricDataResults.map(normaliseMetricDataResult) };
+};
+
+module.exports = { normaliseGetMetricDataResponse };
@@ -0,0 +1,68 @@
+// Credentials for reading data from other accounts, by assuming a role in each account. The role is
+// arn:aws:iam::<account>:role/<CROSS_ACCOUNT_ROLE_NAME>, unless CROSS_ACCOUNT_ROLE_ARNS maps the account to another
+// role ARN, e.g. {"111122223333": "arn:aws:iam::111122223333:role/Monitoring"}.
+
+const DEFAULT_ROLE_NAME = 'CloudWatchDataSourceCrossAccountRole';
+const ROLE_SESSION_NAME = 'cloudwatch-data-source';
+// Refresh credentials this long before they expire, so they don't expire while being used
+const EXPIRY_MARGIN_MILLIS = 5 * 60 * 1000;
+
+const credentialsCache = {};
+
+const defaultStsClientFactory = (region) => {
+    // eslint-disable-next-line global-require
+    const sts = require('@aws-sdk/client-sts');
+    return new sts.STS({ region });
+};
+
+let stsClientFactory = defaultStsClientFactory;
+let stsClient;
+
+// Replaces how the STS client is created, e.g. to use an in-process stand-in
+const setStsClientFactory = (factory) => {
+    stsClientFactory = factory || defaultStsClientFactory;
+    stsClient = undefined;
+    Object.keys(credentialsCache).forEach((roleArn) => delete credentialsCache[roleArn]);
+};
+
+const getPartition = (region) => {
+    if (region.startsWith('cn-')) {
+        return 'aws-cn';
+    }
+    if (region.startsWith('us-gov-')) {
+        return 'aws-us-gov';
+    }
+    return 'aws';
+};
+
+const getRoleArn = (account, region) => {
+    const roleArns = process.env.CROSS_ACCOUNT_ROLE_ARNS ? JSON.parse(process.env.CROSS_ACCOUNT_ROLE_ARNS) : {};
+    if (roleArns[account]) {
+        return roleArns[account];
+    }
+    const roleName = process.env.CROSS_ACCOUNT_ROLE_NAME || DEFAULT_ROLE_NAME;
+    return `arn:${getPartition(region)}:iam::${account}:role/${roleName}`;
+};
+
+// Assumed role credentials are cached across warm Lambda invocations until shortly before they expire
+const getAccountCredentials = async (account, region) => {
+    const roleArn = getRoleArn(account, region);
+    const cached = credentialsCache[roleArn];
+    if (cached && cached.expiration.getTime() - Date.now() > EXPIRY_MARGIN_MILLIS) {
+        return cached;
+    }
+
+    if (!stsClient) {
+        stsClient = stsClientFactory(process.env.AWS_REGION || region);
+    }
+    const { Credentials } = await stsClient.assumeRole({ RoleArn: roleArn, RoleSessionName: ROLE_SESSION_NAME });
+    credentialsCache[roleArn] = {
+        accessKeyId: Credentials.AccessKeyId,
+        secretAccessKey: Credentials.SecretAccessKey,
+        sessionToken: Credentials.SessionToken,
+        expiration: new Date(Credentials.Expiration),
+    };
+    return credentialsCache[roleArn];
+};
+
+module.exports = { DEFAULT_ROLE_NAME, getAccountCredentials, setStsClientFactory };
@@ -0,0 +1,6 @@
+// CloudWatch SDK returns Date objects, data source connectors must return epoch seconds
+const toEpochSeconds = (date) => date.getTime() / 1000;
+
+const toDate = (epochSeconds) => new Date(epochSeconds * 1000);
+
+module.exports = { toEpochSeconds, toDate };
@@ -1,14 +1,9 @@
-const cw = require('@aws-sdk/client-cloudwatch');
-
-const describeGetMetricDataEventHandler = () => {
-    const FIRST_EXAMPLE_DEFAULT_ARGS_LIST = [
-        'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization", "Average")',
-        'MAX > 70',
-    ];
-    const FIRST_EXAMPLE_DEFAULT_ARGS_STRING = FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) =>
-        typeof arg === 'string' ? `'${arg}'` : arg
-    ).join(', ');
-    const DESCRIPTION = `
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData } = require('../common/cloudwatch');
+const { toDate, toEpochSeconds } = require('../common/time');
+const { parseResampling, resampleSeries } = require('../common/resample');
+
+const description = ({ functionName, exampleArguments }) => `
 ## Sample Cloudwatch metric filterer.
 
 Filters metrics whose values match a condition, such as show only metrics where average of all values > 70. 
@@ -24,159 +19,435 @@ Runs a valid CloudWatch Metric expression and returns all metrics that match the
 \\# | Type | Description
 ---|---|---
 1 | String | Expression, e.g. CPU for EC2 instances: \`SEARCH('{AWS/EC2,InstanceId} MetricName=CPUUtilization)', 'Average')\`
-2 | String | Filter, in form '<stat> <condition> <value>', where <stat> can be MIN,MAX,AVG, SUM and <condition> can be >, >=, <, <=, ==, !=. e.g. \`MAX > 70\` shows only metrics that have some datapoints above 70
+2 | String | Filter, made of conditions in form '<stat> <condition> <value>', e.g. \`MAX > 70\` shows only metrics that have some datapoints above 70. Conditions can be combined with \`AND\`, \`OR\`, \`NOT\` and parentheses, e.g. \`(MAX > 90 OR P95 > 70) AND LABEL !~ /canary/\`
+3 | String | (optional) Ranking, in form 'TOP <count> BY <stat>' or 'BOTTOM <count> BY <stat>', e.g. \`TOP 10 BY P99\` keeps the 10 matching metrics with the highest 99th percentile, using the same stats as the filter
+4 | String | (optional) How the metrics left out by the ranking are rolled up into one \`Others (N)\` metric: \`sum\` (default), so totals across the graph stay correct, \`average\` or \`none\` to leave them out
+5 | String | (optional) Gap filling of the returned series: \`null\` leaves gaps as missing data, \`zero\` fills them with 0, \`last\` with the last value before them and \`linear\` interpolates between the datapoints either side. Only gaps between two datapoints are filled with \`last\` and \`linear\`. Datapoints are realigned to the period of the graph first, combined with the aggregation given as \`<fill>:<aggregation>\`, e.g. \`zero:sum\`, one of \`average\` (default), \`sum\`, \`min\`, \`max\`, \`first\` or \`last\`. Metrics are filtered and ranked on their datapoints as the expression returns them, and filled before the metrics left out by the ranking are rolled up. By default series are returned as they are
+
+Filter | Description
+---|---
+\`<stat>\` | MIN, MAX, AVG, SUM, FIRST, LAST (the earliest and latest datapoint), COUNT, STDDEV, a percentile such as P90 or P99.9, or BREACHING(<condition> <value>), the fraction of datapoints that breach a threshold, e.g. \`BREACHING(> 80) >= 0.5\` for metrics above 80 at least half of the time
+\`<condition>\` | >, >=, <, <=, ==, !=
+\`LABEL ~ /<regex>/\` | Metrics whose label matches a regular expression, or doesn't match with \`!~\`, e.g. \`LABEL ~ /prod-/i\`. Flags other than \`g\` and \`y\` are allowed
+
+Keywords and stats are case-insensitive, and \`AND\` binds tighter than \`OR\`. Metrics without datapoints never match a filter, and are ranked last.
 
 ### Example Expression
 Display only EC2 Instances where CPU went over 70%:
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', ${FIRST_EXAMPLE_DEFAULT_ARGS_STRING})
+LAMBDA('${functionName}', ${exampleArguments})
 
 \`\`\`
 
+Display the 10 EC2 instances with the highest average CPU, plus the total of all other instances:
+
+\`\`\`
+LAMBDA('${functionName}', 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization", "Average")', '', 'TOP 10 BY AVG')
+\`\`\`
+
+Display EC2 instances that peaked above 90% CPU or had a high 95th percentile, except canaries:
+
+\`\`\`
+LAMBDA('${functionName}', 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization", "Average")', '(MAX > 90 OR P95 > 70) AND LABEL !~ /canary/')
+\`\`\`
+
 Average CPU of all EC2 Instances using SEARCH, by setting filter to empty string. This metric can be alarmed on.
 
 \`\`\`
-AVG(LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization)", "Average"))', '')
+AVG(LAMBDA('${functionName}', 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization)", "Average"))', '')
 \`\`\`
     `;
 
-    return {
-        DataSourceConnectorName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        ArgumentDefaults: FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) => {
-            return { Value: arg };
-        }),
-        Description: DESCRIPTION,
+const VALID_STATS = new Set(['MIN', 'MAX', 'AVG', 'SUM', 'FIRST', 'LAST', 'COUNT', 'STDDEV']);
+const VALID_CONDITIONS = new Set(['>', '<', '==', '>=', '<=', '!=']);
+const PERCENTILE_PATTERN = /^P(\d{1,2}(?:\.\d+)?|100)$/;
+
+// Sticky patterns, tried in order at the current position of the filter
+const TOKEN_PATTERNS = [
+    ['space', /\s+/y],
+    ['regex', /\/((?:\\.|[^\\/])*)\/([a-z]*)/y],
+    ['number', /-?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?/iy],
+    ['condition', />=|<=|==|!=|>|</y],
+    ['match', /!~|~/y],
+    ['(', /\(/y],
+    [')', /\)/y],
+    ['word', /[A-Za-z_][A-Za-z0-9_.]*/y],
+];
+
+const throwSyntaxError = (kind, text, token, expected) => {
+    const found = token.type === 'end' ? `the end of the ${kind.toLowerCase()}` : `'${token.text}'`;
+    const position = token.position + 1;
+    throw Error(`${kind} syntax error at position ${position} of '${text}', expected ${expected} but found ${found}`, {
+        cause: 'Validation',
+    });
+};
+
+const tokenize = (kind, text) => {
+    const tokens = [];
+    let position = 0;
+    while (position < text.length) {
+        let token = null;
+        TOKEN_PATTERNS.some(([type, pattern]) => {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (match !== null) {
+                token = { type, text: match[0], match, position };
+            }
+            return match !== null;
+        });
+        if (token === null) {
+            throwSyntaxError(
+                kind,
+                text,
+                { text: text[position], position },
+                'a stat, condition, number, /regex/, parenthesis or keyword'
+            );
+        }
+        if (token.type !== 'space') {
+            tokens.push(token);
+        }
+        position += token.text.length;
+    }
+    tokens.push({ type: 'end', text: '', position });
+    return tokens;
+};
+
+// Reads the tokens of a filter or ranking one at a time, reporting unexpected tokens as syntax errors
+const createTokenReader = (kind, text) => {
+    const tokens = tokenize(kind, text);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => {
+        index += 1;
+        return tokens[index - 1];
+    };
+    const fail = (token, expected) => throwSyntaxError(kind, text, token, expected);
+    const expect = (type, expected) => {
+        const token = next();
+        if (token.type !== type) {
+            fail(token, expected);
+        }
+        return token;
     };
+    return { peek, next, fail, expect };
 };
 
-const VALID_STATS = new Set(['MIN', 'MAX', 'AVG', 'SUM']);
-const VALID_CONDITIONS = new Set(['>', '<', '==', '>=', '<=', '!=']);
+const isKeyword = (token, keyword) => token.type === 'word' && token.text.toUpperCase() === keyword;
+
+const parseThreshold = (reader) => {
+    const condition = reader.expect('condition', `a condition, one of ${[...VALID_CONDITIONS].join(' ')}`).text;
+    const value = parseFloat(reader.expect('number', 'a number').text);
+    return { condition, value };
+};
 
+const parseStat = (reader) => {
+    const token = reader.next();
+    const name = token.type === 'word' ? token.text.toUpperCase() : null;
+    if (VALID_STATS.has(name)) {
+        return { name };
+    }
+    const percentileMatch = PERCENTILE_PATTERN.exec(name);
+    if (percentileMatch !== null) {
+        return { name: 'PERCENTILE', percentile: parseFloat(percentileMatch[1]) };
+    }
+    if (name === 'BREACHING') {
+        reader.expect('(', '(');
+        const threshold = parseThreshold(reader);
+        reader.expect(')', ')');
+        return { name, ...threshold };
+    }
+    return reader.fail(
+        token,
+        `a stat, one of ${[...VALID_STATS].join(', ')}, P<percentile> or BREACHING(<condition> <value>)`
+    );
+};
+
+const parseLabelMatch = (reader) => {
+    reader.next();
+    const negate = reader.expect('match', '~ or !~').text === '!~';
+    const token = reader.expect('regex', 'a regular expression, e.g. /prod-/');
+    // The regex is tested against every label, and g and y would carry lastIndex over from one label to the next
+    if (/[gy]/.test(token.match[2])) {
+        return reader.fail(token, 'a regular expression without the g or y flags');
+    }
+    try {
+        return { type: 'label', negate, regex: new RegExp(token.match[1], token.match[2]) };
+    } catch (err) {
+        return reader.fail(token, `a valid regular expression (${err.message})`);
+    }
+};
+
+// Parses the filter into a tree of and, or, not, comparison and label nodes, or null for an empty filter:
+//   filter     := and (OR and)*
+//   and        := not (AND not)*
+//   not        := NOT not | '(' filter ')' | comparison | LABEL ('~' | '!~') /regex/
+//   comparison := stat condition number
+//   stat       := MIN | MAX | AVG | SUM | FIRST | LAST | COUNT | STDDEV | P<percentile> | BREACHING(condition number)
 const parseFilter = (filterString) => {
-    const filterParts = filterString.replace(/ +/g, ' ').trim().split(' ');
-    if (filterParts.length === 1 && filterParts[0] === '') {
-        return { stat: null };
+    const reader = createTokenReader('Filter', filterString);
+    if (reader.peek().type === 'end') {
+        return null;
     }
-    if (filterParts.length !== 3) {
-        throw Error(
-            `Filter syntax error, '${filterString}' does not follow format '<stat> <condition> <value>' or empty, ''`,
-            { cause: 'Validation' }
-        );
+
+    let parseOr;
+    const parseNot = () => {
+        const token = reader.peek();
+        if (isKeyword(token, 'NOT')) {
+            reader.next();
+            return { type: 'not', operand: parseNot() };
+        }
+        if (token.type === '(') {
+            reader.next();
+            const node = parseOr();
+            reader.expect(')', 'AND, OR or )');
+            return node;
+        }
+        if (isKeyword(token, 'LABEL')) {
+            return parseLabelMatch(reader);
+        }
+        const stat = parseStat(reader);
+        return { type: 'comparison', stat, ...parseThreshold(reader) };
+    };
+    const parseAnd = () => {
+        let node = parseNot();
+        while (isKeyword(reader.peek(), 'AND')) {
+            reader.next();
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    };
+    parseOr = () => {
+        let node = parseAnd();
+        while (isKeyword(reader.peek(), 'OR')) {
+            reader.next();
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const filter = parseOr();
+    if (reader.peek().type !== 'end') {
+        reader.fail(reader.peek(), 'AND, OR or the end of the filter');
     }
+    return filter;
+};
 
-    const [stat, condition, valueString] = filterParts;
-    const value = parseFloat(valueString);
+// Parses a ranking in form 'TOP|BOTTOM <count> BY <stat>', e.g. TOP 10 BY P99, or null for an empty ranking
+const parseRanking = (rankingString) => {
+    const reader = createTokenReader('Ranking', rankingString);
+    if (reader.peek().type === 'end') {
+        return null;
+    }
 
-    if (!VALID_STATS.has(stat)) {
-        throw Error(`Unrecognised stat, '${stat}' in filter`, { cause: 'Validation' });
+    const direction = reader.next();
+    if (!isKeyword(direction, 'TOP') && !isKeyword(direction, 'BOTTOM')) {
+        reader.fail(direction, 'TOP or BOTTOM');
+    }
+    const countToken = reader.expect('number', 'the number of series to keep');
+    const count = Number(countToken.text);
+    if (!Number.isInteger(count) || count < 1) {
+        reader.fail(countToken, 'a whole number of series, of at least 1');
     }
-    if (!VALID_CONDITIONS.has(condition)) {
-        throw Error(`Unrecognised condition, '${condition}' in filter`, { cause: 'Validation' });
+    const by = reader.next();
+    if (!isKeyword(by, 'BY')) {
+        reader.fail(by, 'BY');
     }
+    const stat = parseStat(reader);
+    if (reader.peek().type !== 'end') {
+        reader.fail(reader.peek(), 'the end of the ranking');
+    }
+    return { top: isKeyword(direction, 'TOP'), count, stat };
+};
 
-    return { stat, condition, value };
+const OTHERS_MODES = new Set(['sum', 'average', 'none']);
+
+const parseArguments = ([expression, filterString, rankingString = '', others = 'sum', fill]) => {
+    const filter = parseFilter(filterString);
+    const ranking = parseRanking(rankingString);
+    if (!OTHERS_MODES.has(others)) {
+        throw Error(`Unrecognised others mode '${others}', expected one of ${[...OTHERS_MODES].join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    const resampling = fill === undefined ? null : parseResampling(fill);
+
+    return { expression, filter, ranking, others, resampling };
 };
 
-const validateGetMetricDataRequest = (Arguments) => {
-    if (Arguments.length !== 2) {
-        throw Error(`Expected 2 arguments, received ${Arguments.length}`, { cause: 'Validation' });
+const compare = (stat, condition, value) => {
+    switch (condition) {
+        case '>':
+            return stat > value;
+        case '>=':
+            return stat >= value;
+        case '<':
+            return stat < value;
+        case '<=':
+            return stat <= value;
+        case '==':
+            return stat === value;
+        case '!=':
+            return stat !== value;
+        default:
+            return false;
     }
-    const expression = Arguments[0];
-    const filterString = Arguments[1];
+};
+
+// Percentile with linear interpolation between the closest ranks
+const getPercentile = (values, percentile) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
 
-    if (typeof expression !== 'string' || typeof filterString !== 'string') {
-        throw Error(`Unexpected argument type, expected (<string>, <string>)`, { cause: 'Validation' });
+// Timestamps may be in either order, so FIRST and LAST are the values of the earliest and latest timestamps
+const getStatValue = ({ Timestamps, Values }, stat) => {
+    const sum = Values.reduce((acc, value) => acc + value, 0);
+    const avg = sum / Values.length;
+    switch (stat.name) {
+        case 'MIN':
+            return Math.min(...Values);
+        case 'MAX':
+            return Math.max(...Values);
+        case 'SUM':
+            return sum;
+        case 'AVG':
+            return avg;
+        case 'COUNT':
+            return Values.length;
+        case 'STDDEV':
+            return Math.sqrt(Values.reduce((acc, value) => acc + (value - avg) ** 2, 0) / Values.length);
+        case 'FIRST':
+        case 'LAST': {
+            const times = Timestamps.map(Number);
+            const time = stat.name === 'FIRST' ? Math.min(...times) : Math.max(...times);
+            return Values[times.indexOf(time)];
+        }
+        case 'PERCENTILE':
+            return getPercentile(Values, stat.percentile);
+        case 'BREACHING':
+            return Values.filter((value) => compare(value, stat.condition, stat.value)).length / Values.length;
+        default:
+            return undefined;
     }
-    const filter = parseFilter(filterString);
+};
+
+const statMatchesFilter = (metric, comparison) =>
+    compare(getStatValue(metric, comparison.stat), comparison.condition, comparison.value);
 
-    return { expression, filter };
+const evaluateFilter = (node, metric) => {
+    switch (node.type) {
+        case 'or':
+            return evaluateFilter(node.left, metric) || evaluateFilter(node.right, metric);
+        case 'and':
+            return evaluateFilter(node.left, metric) && evaluateFilter(node.right, metric);
+        case 'not':
+            return !evaluateFilter(node.operand, metric);
+        case 'label':
+            return node.regex.test(metric.Label) !== node.negate;
+        default:
+            return statMatchesFilter(metric, node);
+    }
 };
 
-const statMatchesFilter = (values, filter) => {
+const metricMatchesFilter = (metric, filter) => {
     // Check for empty filter, return true
-    if (filter.stat === null) {
+    if (filter === null) {
         return true;
     }
 
     // Return false for no data metric, remove them
-    if (values.length === 0) {
+    if (metric.Values.length === 0) {
         return false;
     }
 
-    let min = values[0];
-    let max = min;
-    let sum = min;
+    return evaluateFilter(filter, metric);
+};
 
-    values.slice(1).forEach((value) => {
-        sum += value;
-        if (value < min) {
-            min = value;
-        } else if (value > max) {
-            max = value;
-        }
+// Rolls up series into one, summing or averaging the values of the series that have data at each timestamp
+const getOthersResult = (metrics, others) => {
+    const valuesByTimestamp = new Map();
+    metrics.forEach(({ Timestamps, Values }) => {
+        Timestamps.forEach((timestamp, index) => {
+            valuesByTimestamp.set(timestamp, [...(valuesByTimestamp.get(timestamp) || []), Values[index]]);
+        });
     });
+    const Timestamps = [...valuesByTimestamp.keys()].sort((a, b) => a - b);
+    const Values = Timestamps.map((timestamp) => {
+        const values = valuesByTimestamp.get(timestamp);
+        const sum = values.reduce((acc, value) => acc + value, 0);
+        return others === 'average' ? sum / values.length : sum;
+    });
+    const complete = metrics.every(({ StatusCode }) => StatusCode === 'Complete');
 
-    const avg = sum / values.length;
-    const statMap = { AVG: avg, MIN: min, MAX: max, SUM: sum };
-    const stat = statMap[filter.stat]; // Extract the stat to apply to the filter condition
-    switch (filter.condition) {
-        case '>':
-            return stat > filter.value;
-        case '>=':
-            return stat >= filter.value;
-        case '<':
-            return stat < filter.value;
-        case '<=':
-            return stat <= filter.value;
-        case '==':
-            return stat === filter.value;
-        case '!=':
-            return stat !== filter.value;
-        default:
-            return false;
+    return {
+        StatusCode: complete ? 'Complete' : 'PartialData',
+        Label: `Others (${metrics.length})`,
+        Timestamps,
+        Values,
+    };
+};
+
+// Keeps the top or bottom N series by a stat, followed by an Others (N) series rolling up the rest, so totals
+// across the graph stay correct. Series without data are ranked last. Series are filled after they are ranked.
+const rankMetrics = (metrics, { top, count, stat }, others, fillSeries) => {
+    const scored = metrics.map((metric) => {
+        if (metric.Values.length === 0) {
+            return { metric, score: -Infinity };
+        }
+        const value = getStatValue(metric, stat);
+        return { metric, score: top ? value : -value };
+    });
+    const ranked = scored.sort((a, b) => (a.score === b.score ? 0 : b.score - a.score)).map(({ metric }) => metric);
+    const kept = ranked.slice(0, count).map(fillSeries);
+    const rest = ranked.slice(count);
+    if (rest.length === 0 || others === 'none') {
+        return kept;
     }
+    return [...kept, getOthersResult(rest.map(fillSeries), others)];
 };
 
-const getMetricDataEventHandler = async (event) => {
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const { expression, filter } = validateGetMetricDataRequest(Arguments);
+const getMetricData = async (
+    { StartTime, EndTime, Period, region },
+    { expression, filter, ranking, others, resampling }
+) => {
     const getMetricDataParams = {
         MetricDataQueries: [{ Id: 'e1', Expression: expression, Period }],
-        StartTime: new Date(StartTime * 1000),
-        EndTime: new Date(EndTime * 1000),
+        StartTime: toDate(StartTime),
+        EndTime: toDate(EndTime),
     };
-    const { region } = event;
-    const cloudwatch = new cw.CloudWatch({ region });
-    const getMetricDataResult = await cloudwatch.getMetricData(getMetricDataParams);
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResult = await getAllMetricData(cloudwatch, getMetricDataParams);
     const metrics = getMetricDataResult.MetricDataResults;
     const filteredMetrics = metrics.filter((metric) => {
-        if (statMatchesFilter(metric.Values, filter)) {
+        if (metricMatchesFilter(metric, filter)) {
             // Filter matches, so convert timestamps to expected format and return true
             /* eslint no-param-reassign: ["error", { "props": false }] */
-            metric.Timestamps = metric.Timestamps.map((ts) => {
-                return ts.getTime() / 1000;
-            });
+            metric.Timestamps = metric.Timestamps.map(toEpochSeconds);
             return true;
         }
         return false;
     });
-    return { MetricDataResults: filteredMetrics };
-};
-
-exports.handler = async (event) => {
-    try {
-        switch (event.EventType) {
-            case 'GetMetricData':
-                return await getMetricDataEventHandler(event);
-            case 'DescribeGetMetricData':
-                return describeGetMetricDataEventHandler(event);
-            default:
-                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
-        }
-    } catch (err) {
-        const message = err.message || err;
-        const code = err.cause || 'InternalError';
-        return { Error: { Code: code, Value: message } };
+    const fillSeries = (series) =>
+        resampling ? resampleSeries(series, { StartTime, EndTime, Period }, resampling) : series;
+    if (ranking !== null) {
+        return { MetricDataResults: rankMetrics(filteredMetrics, ranking, others, fillSeries) };
     }
+    return { MetricDataResults: filteredMetrics.map(fillSeries) };
 };
+
+exports.handler = createHandler({
+    arguments: [
+        { type: 'string', example: 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization", "Average")' },
+        { type: 'string', example: 'MAX > 70' },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
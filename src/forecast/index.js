@@ -0,0 +1,354 @@
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData, getRetainedPeriod } = require('../common/cloudwatch');
+const { parseFullMetric } = require('../common/metric');
+const { toDate, toEpochSeconds } = require('../common/time');
+const { parseISO8601Duration } = require('../common/duration');
+
+const description = ({ functionName, exampleArguments }) => `
+## Sample Cloudwatch Metric forecast data source connector
+
+Forecasts a CloudWatch Metric, for capacity planning questions like "when will this disk fill up?". Fits a linear trend or a seasonal [Holt-Winters](https://en.wikipedia.org/wiki/Exponential_smoothing#Triple_exponential_smoothing_(Holt_Winters)) model to the history of the metric up to now, and continues it into the future part of the graph, with ${CONFIDENCE_PERCENT}% confidence bounds.
+
+### Query arguments
+
+\\# | Type | Description
+---|---|---
+1 | String | The full name of the metric, in format <Namespace>,<MetricName>,<Dim Name 1>,<Dim Value 1>,... etc. URL encode the strings between commas
+2 | String | The statistic to retrieve for the metric
+3 | String | The history to fit the model to, up to now, as an ISO 8601 duration, e.g. \`P14D\`
+4 | String | (optional) Method, \`linear\` (default) fits a straight line. \`holt-winters\` fits level, trend and a daily season, or the season given as \`holt-winters:<duration>\`, e.g. \`holt-winters:P7D\`, which needs at least two seasons of history
+5 | String | (optional) Comma-separated list of outputs: \`actual\` the metric, \`fitted\` the model over the history, \`forecast\` the model after the last datapoint, \`upper\` and \`lower\` the confidence bounds of the forecast, and \`periodsUntilThreshold\` the number of periods after the last datapoint until the forecast crosses the threshold, ready for alarming. Default \`${DEFAULT_OUTPUTS}\`
+6 | Number | (optional) Threshold for \`periodsUntilThreshold\`. The forecast crosses it going up when the last datapoint is below it, and going down otherwise. When it isn't crossed within ${MAX_FORECAST_PERIODS} periods, ${MAX_FORECAST_PERIODS} is returned
+
+Set the end of the graph in the future to see the forecast. The Holt-Winters confidence bounds are approximate.
+
+CloudWatch keeps older data at coarser periods only, so a history going back further than 3 hours, 15 days or 63 days is loaded, fitted and forecast at a multiple of 1 minute, 5 minutes or 1 hour respectively. \`periodsUntilThreshold\` is still counted in periods of the graph.
+
+### Example Expression
+Forecast free storage of an RDS database, from the last 14 days:
+
+\`\`\`
+LAMBDA('${functionName}', ${exampleArguments})
+\`\`\`
+
+Alarm when the queue is forecast to reach 10000 messages within 12 periods, using 4 weeks of history with a weekly season:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/SQS,ApproximateNumberOfMessagesVisible,QueueName,my-queue', 'Maximum', 'P28D', 'holt-winters:P7D', 'periodsUntilThreshold', 10000)
+\`\`\`
+    `;
+
+const DEFAULT_SEASON = 'P1D';
+const DEFAULT_OUTPUTS = 'actual, fitted, forecast, upper, lower';
+const OUTPUTS = new Set(['actual', 'fitted', 'forecast', 'upper', 'lower', 'periodsUntilThreshold']);
+const CONFIDENCE_PERCENT = 95;
+const CONFIDENCE_Z = 1.96;
+const MAX_HISTORY_DATAPOINTS = 100800;
+const MAX_FORECAST_PERIODS = 10080;
+// Holt-Winters smoothing factors are chosen from these, by the smallest one step ahead error over the history
+const ALPHAS = [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0.01, 0.05, 0.1, 0.2];
+const GAMMAS = [0.05, 0.1, 0.2, 0.4];
+
+const parseSeconds = (durationString, name) => {
+    const { months, seconds } = parseISO8601Duration(durationString);
+    if (months > 0 || seconds <= 0) {
+        throw Error(`${name} ${durationString} must be a duration of weeks, days, hours, minutes or seconds`, {
+            cause: 'Validation',
+        });
+    }
+    return seconds;
+};
+
+const parseMethod = (method) => {
+    const [name, season = DEFAULT_SEASON] = method.split(':').map((part) => part.trim());
+    if (name === 'linear' && !method.includes(':')) {
+        return { name };
+    }
+    if (name === 'holt-winters') {
+        return { name, seasonSeconds: parseSeconds(season, 'Season') };
+    }
+    throw Error(`Unrecognised method '${method}', expected linear, holt-winters or holt-winters:<season>`, {
+        cause: 'Validation',
+    });
+};
+
+const parseArguments = ([fullMetric, stat, history, method = 'linear', outputs = DEFAULT_OUTPUTS, threshold]) => {
+    const metric = parseFullMetric(fullMetric);
+    const outputList = outputs
+        .split(',')
+        .map((output) => output.trim())
+        .filter((output) => output);
+    const unknownOutput = outputList.find((output) => !OUTPUTS.has(output));
+    if (unknownOutput !== undefined || outputList.length === 0) {
+        throw Error(`Unrecognised output '${unknownOutput || outputs}', expected one of ${[...OUTPUTS].join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    if (outputList.includes('periodsUntilThreshold') && threshold === undefined) {
+        throw Error('A threshold is needed for the periodsUntilThreshold output', { cause: 'Validation' });
+    }
+
+    return {
+        metric,
+        stat,
+        historySeconds: parseSeconds(history, 'History'),
+        method: parseMethod(method),
+        outputList,
+        threshold,
+    };
+};
+
+// Places the datapoints on a regular grid of periods from the first to the last datapoint, interpolating gaps
+const toRegularSeries = (timestamps, values, Period) => {
+    const first = timestamps[0];
+    const length = Math.round((timestamps[timestamps.length - 1] - first) / Period) + 1;
+    const grid = new Array(length).fill(undefined);
+    timestamps.forEach((timestamp, index) => {
+        grid[Math.round((timestamp - first) / Period)] = values[index];
+    });
+    let previous = 0;
+    for (let index = 1; index < length; index++) {
+        if (grid[index] !== undefined) {
+            for (let gap = previous + 1; gap < index; gap++) {
+                grid[gap] = grid[previous] + ((grid[index] - grid[previous]) * (gap - previous)) / (index - previous);
+            }
+            previous = index;
+        }
+    }
+    return grid;
+};
+
+// Least squares line through the datapoints, with the prediction interval of the line at any point
+const fitLinear = (x, y) => {
+    const n = x.length;
+    if (n < 3) {
+        throw Error(`Expected at least 3 datapoints in the history to fit a linear trend, found ${n}`, {
+            cause: 'Validation',
+        });
+    }
+    const xMean = x.reduce((acc, value) => acc + value, 0) / n;
+    const yMean = y.reduce((acc, value) => acc + value, 0) / n;
+    const sxx = x.reduce((acc, value) => acc + (value - xMean) ** 2, 0);
+    const sxy = x.reduce((acc, value, index) => acc + (value - xMean) * (y[index] - yMean), 0);
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    const predict = (at) => intercept + slope * at;
+    const sse = x.reduce((acc, value, index) => acc + (y[index] - predict(value)) ** 2, 0);
+    const sigma = Math.sqrt(sse / (n - 2));
+
+    return {
+        fitted: x.map(predict),
+        predict,
+        getMargin: (at) => CONFIDENCE_Z * sigma * Math.sqrt(1 + 1 / n + (sxx === 0 ? 0 : (at - xMean) ** 2 / sxx)),
+    };
+};
+
+// Additive Holt-Winters, initialised from the first two seasons. Returns the one step ahead forecasts over the
+// history (undefined for the first season), the final state and the sum of squared errors.
+const runHoltWinters = (y, seasonLength, alpha, beta, gamma) => {
+    const mean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+    const firstSeasonMean = mean(y.slice(0, seasonLength));
+    let level = firstSeasonMean;
+    let trend = (mean(y.slice(seasonLength, 2 * seasonLength)) - firstSeasonMean) / seasonLength;
+    const seasonals = y.slice(0, seasonLength).map((value) => value - firstSeasonMean);
+    const fitted = new Array(y.length).fill(undefined);
+    let sse = 0;
+    for (let t = seasonLength; t < y.length; t++) {
+        const season = t % seasonLength;
+        fitted[t] = level + trend + seasonals[season];
+        sse += (y[t] - fitted[t]) ** 2;
+        const previousLevel = level;
+        level = alpha * (y[t] - seasonals[season]) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        seasonals[season] = gamma * (y[t] - level) + (1 - gamma) * seasonals[season];
+    }
+    return { fitted, level, trend, seasonals, sse, count: y.length - seasonLength };
+};
+
+const fitHoltWinters = (y, seasonLength) => {
+    if (y.length < 2 * seasonLength || seasonLength < 2) {
+        throw Error(
+            `Expected at least two seasons of ${seasonLength} periods in the history for Holt-Winters, found ${y.length} periods`,
+            { cause: 'Validation' }
+        );
+    }
+    let best;
+    ALPHAS.forEach((alpha) => {
+        BETAS.forEach((beta) => {
+            GAMMAS.forEach((gamma) => {
+                const run = runHoltWinters(y, seasonLength, alpha, beta, gamma);
+                if (best === undefined || run.sse < best.sse) {
+                    best = { ...run, alpha, beta, gamma };
+                }
+            });
+        });
+    });
+
+    const { level, trend, seasonals, alpha, beta, gamma } = best;
+    const last = y.length - 1;
+    const sigma = Math.sqrt(best.sse / best.count);
+    // Approximate forecast variance of additive Holt-Winters, growing with the steps ahead
+    const getMargin = (steps) => {
+        let variance = 1;
+        for (let j = 1; j < steps; j++) {
+            variance += (alpha * (1 + j * beta) + (j % seasonLength === 0 ? gamma : 0)) ** 2;
+        }
+        return CONFIDENCE_Z * sigma * Math.sqrt(variance);
+    };
+
+    return {
+        fitted: best.fitted,
+        predict: (steps) => level + steps * trend + seasonals[(last + steps) % seasonLength],
+        getMargin,
+    };
+};
+
+// Fits the model to the history, returning functions of the number of periods after the last datapoint
+const fitModel = (timestamps, values, Period, method) => {
+    const last = timestamps[timestamps.length - 1];
+    if (method.name === 'linear') {
+        const x = timestamps.map((timestamp) => (timestamp - last) / Period);
+        const { fitted, predict, getMargin } = fitLinear(x, values);
+        return { fitted: timestamps.map((timestamp, index) => [timestamp, fitted[index]]), predict, getMargin };
+    }
+
+    const grid = toRegularSeries(timestamps, values, Period);
+    const { fitted, predict, getMargin } = fitHoltWinters(grid, Math.round(method.seasonSeconds / Period));
+    const first = timestamps[0];
+    return {
+        fitted: timestamps
+            .map((timestamp) => [timestamp, fitted[Math.round((timestamp - first) / Period)]])
+            .filter(([, value]) => value !== undefined),
+        predict,
+        getMargin,
+    };
+};
+
+// The number of periods of the graph until the forecast crosses the threshold, when the model steps by historyPeriod
+const getPeriodsUntilThreshold = (predict, lastValue, threshold, historyPeriod, Period) => {
+    const rising = lastValue < threshold;
+    for (let steps = 0; (steps * historyPeriod) / Period < MAX_FORECAST_PERIODS; steps++) {
+        const value = steps === 0 ? lastValue : predict(steps);
+        if (rising ? value >= threshold : value <= threshold) {
+            return Math.ceil((steps * historyPeriod) / Period);
+        }
+    }
+    return MAX_FORECAST_PERIODS;
+};
+
+const toSeries = (Label, StatusCode, points) => {
+    return {
+        StatusCode,
+        Label,
+        Timestamps: points.map(([timestamp]) => timestamp),
+        Values: points.map(([, value]) => value),
+    };
+};
+
+const getMetricData = async (
+    { StartTime, EndTime, Period, region },
+    { metric, stat, historySeconds, method, outputList, threshold }
+) => {
+    // The model steps by the period CloudWatch still has the oldest data loaded at, which can be coarser than Period
+    const now = Date.now() / 1000;
+    const historyPeriod = getRetainedPeriod(Math.min(Math.min(EndTime, now) - historySeconds, StartTime), Period);
+    const historyEnd = Math.min(EndTime, Math.floor(now / historyPeriod) * historyPeriod);
+    const historyStart = historyEnd - historySeconds;
+    if (historySeconds / historyPeriod > MAX_HISTORY_DATAPOINTS) {
+        throw Error(
+            `History of ${
+                historySeconds / historyPeriod
+            } periods is more than ${MAX_HISTORY_DATAPOINTS}, use a shorter history or longer period`,
+            { cause: 'Validation' }
+        );
+    }
+    const getMetricDataParams = {
+        MetricDataQueries: [{ Id: 'm1', MetricStat: { Metric: metric, Stat: stat, Period: historyPeriod } }],
+        StartTime: toDate(Math.min(historyStart, StartTime)),
+        EndTime: toDate(historyEnd),
+        ScanBy: 'TimestampAscending',
+    };
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResult = await getAllMetricData(cloudwatch, getMetricDataParams);
+    const metricData = getMetricDataResult.MetricDataResults[0];
+    const datapoints = metricData.Timestamps.map((timestamp, index) => [
+        toEpochSeconds(timestamp),
+        metricData.Values[index],
+    ]).sort(([a], [b]) => a - b);
+    const history = datapoints.filter(([timestamp]) => timestamp >= historyStart);
+    const inRange = (points) => points.filter(([timestamp]) => timestamp >= StartTime && timestamp < EndTime);
+    const { Label, StatusCode } = metricData;
+    const labels = {
+        actual: Label,
+        fitted: `${Label} fitted`,
+        forecast: `${Label} forecast`,
+        upper: `${Label} forecast upper`,
+        lower: `${Label} forecast lower`,
+        periodsUntilThreshold: `${Label} periods until ${threshold}`,
+    };
+    // Missing data rather than an error, so that an alarm on the forecast treats the period as missing data
+    if (history.length === 0) {
+        const message = { Code: 'PartialData', Value: 'No datapoints found in the history to forecast from' };
+        return {
+            MetricDataResults: outputList.map((output) => ({
+                ...toSeries(labels[output], 'PartialData', output === 'actual' ? inRange(datapoints) : []),
+                Messages: [message],
+            })),
+        };
+    }
+
+    const model = fitModel(
+        history.map(([timestamp]) => timestamp),
+        history.map(([, value]) => value),
+        historyPeriod,
+        method
+    );
+    const [lastTimestamp, lastValue] = history[history.length - 1];
+    const forecastSteps = [];
+    for (let steps = 1; lastTimestamp + steps * historyPeriod < EndTime && steps <= MAX_FORECAST_PERIODS; steps++) {
+        if (lastTimestamp + steps * historyPeriod >= StartTime) {
+            forecastSteps.push(steps);
+        }
+    }
+    const forecastPoint = (getValue) =>
+        forecastSteps.map((steps) => [lastTimestamp + steps * historyPeriod, getValue(steps)]);
+
+    const seriesByOutput = {
+        actual: () => toSeries(labels.actual, StatusCode, inRange(datapoints)),
+        fitted: () => toSeries(labels.fitted, StatusCode, inRange(model.fitted)),
+        forecast: () => toSeries(labels.forecast, StatusCode, forecastPoint(model.predict)),
+        upper: () =>
+            toSeries(
+                labels.upper,
+                StatusCode,
+                forecastPoint((steps) => model.predict(steps) + model.getMargin(steps))
+            ),
+        lower: () =>
+            toSeries(
+                labels.lower,
+                StatusCode,
+                forecastPoint((steps) => model.predict(steps) - model.getMargin(steps))
+            ),
+        periodsUntilThreshold: () =>
+            toSeries(labels.periodsUntilThreshold, StatusCode, [
+                [lastTimestamp, getPeriodsUntilThreshold(model.predict, lastValue, threshold, historyPeriod, Period)],
+            ]),
+    };
+
+    return { MetricDataResults: outputList.map((output) => seriesByOutput[output]()) };
+};
+
+exports.handler = createHandler({
+    arguments: [
+        { type: 'string', example: 'AWS/RDS,FreeStorageSpace,DBInstanceIdentifier,my-database' },
+        { type: 'string', example: 'Minimum' },
+        { type: 'string', example: 'P14D' },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'number', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
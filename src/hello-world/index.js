@@ -1,44 +1,206 @@
-const getValidationError = (message) => {
-    return {
-        Error: {
-            Code: 'Validation',
-            Value: message,
-        },
-    };
+const { createHandler } = require('../common/connector');
+const { parseISO8601Duration } = require('../common/duration');
+
+// Levels of the random walk, from 1 minute to about a week between its random values
+const WALK_LEVELS = 14;
+const WALK_STEP_SECONDS = 60;
+// Random values of a term are drawn from its own streams, one per random walk level
+const STREAMS_PER_TERM = 2 * WALK_LEVELS;
+const MAX_SERIES_COUNT = 100;
+
+// Pseudo random number in [0, 1), the same for every call with the same seed, stream and position
+const getUniform = (seed, stream, position) => {
+    let hash = 2166136261;
+    [seed, stream, Math.floor(position / 4294967296), position % 4294967296].forEach((word) => {
+        hash = Math.imul(hash ^ word, 16777619);
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+    });
+    return (hash >>> 0) / 4294967296;
 };
 
-const validateGetMetricDataRequest = (event) => {
-    const { Arguments } = event.GetMetricDataRequest;
+// Standard normal pseudo random number, by the Box-Muller transform of two uniform ones
+const getGaussian = (seed, stream, position) => {
+    const radius = Math.sqrt(-2 * Math.log(1 - getUniform(seed, 2 * stream, position)));
+    return radius * Math.cos(2 * Math.PI * getUniform(seed, 2 * stream + 1, position));
+};
 
-    if (Arguments.length !== 2) {
-        return getValidationError('Argument count must be 2');
+// Sum of random values interpolated between points ever further apart, which wanders like a random walk of about
+// stepSize per minute, but returns to 0 over a week. It only depends on the timestamp, not on where the graph starts.
+const getRandomWalk = (seed, stream, stepSize, timestamp) => {
+    let value = 0;
+    for (let level = 0; level < WALK_LEVELS; level++) {
+        const spacing = WALK_STEP_SECONDS * 2 ** level;
+        const index = Math.floor(timestamp / spacing);
+        const fraction = timestamp / spacing - index;
+        const from = getGaussian(seed, stream + level, index);
+        const to = getGaussian(seed, stream + level, index + 1);
+        value += stepSize * Math.sqrt(2 ** level) * (from + (to - from) * fraction);
     }
+    return value;
+};
 
-    const metricName = Arguments[0];
-    const value = Arguments[1];
+const modulo = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// Terms of a generator expression, with the types of their parameters (? when optional). Each term returns a function
+// of (timestamp, Period) giving its part of the value, or null for missing data.
+const TERMS = {
+    sine: {
+        params: ['number', 'duration', 'duration?'],
+        create:
+            ([amplitude, period, phase = 0]) =>
+            (timestamp) =>
+                amplitude * Math.sin((2 * Math.PI * (timestamp - phase)) / period),
+    },
+    sawtooth: {
+        params: ['number', 'duration'],
+        create:
+            ([amplitude, period]) =>
+            (timestamp) =>
+                (amplitude * modulo(timestamp, period)) / period,
+    },
+    step: {
+        params: ['time', 'number'],
+        create:
+            ([at, size]) =>
+            (timestamp) =>
+                timestamp >= at ? size : 0,
+    },
+    spike: {
+        params: ['time', 'number'],
+        create:
+            ([at, size]) =>
+            (timestamp, Period) =>
+                at >= timestamp && at < timestamp + Period ? size : 0,
+    },
+    walk: {
+        params: ['number'],
+        create:
+            ([stepSize], seed, stream) =>
+            (timestamp) =>
+                getRandomWalk(seed, stream, stepSize, timestamp),
+    },
+    noise: {
+        params: ['number'],
+        create:
+            ([standardDeviation], seed, stream) =>
+            (timestamp) =>
+                standardDeviation * getGaussian(seed, stream, timestamp),
+    },
+    gaps: {
+        params: ['number'],
+        create:
+            ([fraction], seed, stream) =>
+            (timestamp) =>
+                getUniform(seed, stream, timestamp) < fraction ? null : 0,
+    },
+    gap: {
+        params: ['time', 'time'],
+        create:
+            ([from, to]) =>
+            (timestamp) =>
+                timestamp >= from && timestamp < to ? null : 0,
+    },
+};
+
+const PARAM_PARSERS = {
+    number: (str) => (str === '' ? NaN : Number(str)),
+    duration: (str) => {
+        const { months, seconds } = parseISO8601Duration(str);
+        return months > 0 || seconds <= 0 ? NaN : seconds;
+    },
+    time: (str) => Date.parse(str) / 1000,
+};
 
-    if (typeof metricName !== 'string') {
-        return getValidationError('Argument 1 must be a string');
+// Splits the expression on + outside of parentheses, as times can have a + in their time zone offset
+const splitTerms = (expression) => {
+    const terms = [''];
+    let depth = 0;
+    [...expression].forEach((char) => {
+        depth += { '(': 1, ')': -1 }[char] || 0;
+        if (char === '+' && depth === 0) {
+            terms.push('');
+        } else {
+            terms[terms.length - 1] += char;
+        }
+    });
+    return terms.map((term) => term.trim());
+};
+
+const parseTerm = (term) => {
+    if (/^-?\d+(\.\d+)?$/.test(term)) {
+        return () => () => Number(term);
+    }
+    const match = /^([a-z]+)\((.*)\)$/.exec(term);
+    const termType = match && TERMS[match[1]];
+    if (!termType) {
+        throw Error(`Unrecognised term '${term}', expected a number or one of ${Object.keys(TERMS).join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    const params = match[2].split(',').map((param) => param.trim());
+    const requiredCount = termType.params.filter((type) => !type.endsWith('?')).length;
+    if (params.length < requiredCount || params.length > termType.params.length) {
+        throw Error(`Expected ${match[1]}(${termType.params.join(', ')}), received '${term}'`, { cause: 'Validation' });
     }
+    const values = params.map((param, index) => {
+        const type = termType.params[index].replace('?', '');
+        const value = PARAM_PARSERS[type](param);
+        if (!Number.isFinite(value)) {
+            throw Error(`Invalid ${type} '${param}' in '${term}'`, { cause: 'Validation' });
+        }
+        return value;
+    });
+    return (seed, stream) => termType.create(values, seed, stream);
+};
 
-    if (typeof value !== 'number') {
-        return getValidationError('Argument 2 must be a number');
+const parseArguments = ([metricName, value, seed = 1, seriesCount = 1]) => {
+    if (!Number.isInteger(seriesCount) || seriesCount < 1 || seriesCount > MAX_SERIES_COUNT) {
+        throw Error(`Series count must be a whole number from 1 to ${MAX_SERIES_COUNT}, received ${seriesCount}`, {
+            cause: 'Validation',
+        });
+    }
+    // A constant value has no random terms for the seed to change, so its series are all the same
+    if (typeof value === 'number') {
+        return { metricName, value, seriesCount };
+    }
+    if (typeof value !== 'string') {
+        throw Error('Expected a number or a generator expression as the value', { cause: 'Validation' });
     }
+    return { metricName, terms: splitTerms(value).map(parseTerm), seed, seriesCount };
+};
 
-    return null;
+// Generated datapoints are at whole multiples of Period, so they don't move when the graph is refreshed
+const generateSeries = ({ StartTime, EndTime, Period }, Label, terms) => {
+    const Timestamps = [];
+    const Values = [];
+    for (let timestamp = Math.ceil(StartTime / Period) * Period; timestamp < EndTime; timestamp += Period) {
+        const parts = terms.map((term) => term(timestamp, Period));
+        if (!parts.includes(null)) {
+            Timestamps.push(timestamp);
+            Values.push(parts.reduce((acc, part) => acc + part, 0));
+        }
+    }
+    return { StatusCode: 'Complete', Label, Timestamps, Values };
 };
 
-const getMetricDataEventHandler = (event) => {
-    const validationError = validateGetMetricDataRequest(event);
+const getSeriesLabel = (metricName, series, seriesCount) =>
+    seriesCount > 1 ? `${metricName} ${series + 1}` : metricName;
 
-    if (validationError) {
-        return validationError;
+const getMetricData = ({ StartTime, EndTime, Period }, { metricName, value, terms, seed, seriesCount }) => {
+    if (terms) {
+        const MetricDataResults = [];
+        for (let series = 0; series < seriesCount; series++) {
+            const label = getSeriesLabel(metricName, series, seriesCount);
+            const seriesTerms = terms.map((term, index) => term(seed + series, index * STREAMS_PER_TERM));
+            MetricDataResults.push(generateSeries({ StartTime, EndTime, Period }, label, seriesTerms));
+        }
+        return { MetricDataResults };
     }
 
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const metricName = Arguments[0];
-    const value = Arguments[1];
-
     const data = [];
     let currentTime = StartTime;
     while (currentTime < EndTime) {
@@ -52,51 +214,70 @@ const getMetricDataEventHandler = (event) => {
         currentTime += Period;
     }
 
-    return {
-        MetricDataResults: [
-            {
-                StatusCode: 'Complete',
-                Label: metricName,
-                Timestamps: data.map((val) => val.timestamp),
-                Values: data.map((val) => val.value),
-            },
-        ],
-    };
+    const MetricDataResults = [];
+    for (let series = 0; series < seriesCount; series++) {
+        MetricDataResults.push({
+            StatusCode: 'Complete',
+            Label: getSeriesLabel(metricName, series, seriesCount),
+            Timestamps: data.map((val) => val.timestamp),
+            Values: data.map((val) => val.value),
+        });
+    }
+    return { MetricDataResults };
 };
 
-const describeGetMetricDataEventHandler = () => {
-    const description = `
+const description = ({ functionName }) => `
 ## Sample hello world data source connector
 
-Generates a sample time series at a given value across a time range
+Generates a sample time series at a given value across a time range, or synthetic signals for testing alarms, dashboards and other connectors
 
 ### Query arguments
 
 \\# | Type | Description
 ---|---|---
 1 | String | The name of the time series
-2 | Number | The value returned for all data points in the time series
+2 | Number or String | The value returned for all data points in the time series, or a generator expression adding up terms, e.g. \`100 + sine(20, P1D) + noise(5)\`
+3 | Number | (optional) Seed of the random terms of a generator expression, defaults to 1
+4 | Number | (optional) Number of series to generate, each with the next seed, labelled with the name and their number, from 1 to ${MAX_SERIES_COUNT}, defaults to 1. For a number value, the series are all the same
+
+### Generator terms
+
+Term | Description
+---|---
+\`<number>\` | A constant value
+\`sine(amplitude, period, phase)\` | Sine wave with a period given as an ISO 8601 duration, e.g. \`P1D\` for a daily season. The phase is an optional duration to shift it by
+\`sawtooth(amplitude, period)\` | Rises from 0 to the amplitude over each period, then drops back to 0
+\`step(time, size)\` | Adds size from an ISO 8601 time on, e.g. \`step(2024-01-01T12:00:00Z, 50)\`
+\`spike(time, size)\` | Adds size to the single datapoint at an ISO 8601 time
+\`walk(stepSize)\` | Random walk of about stepSize per minute, which returns to 0 over about a week
+\`noise(standardDeviation)\` | Gaussian noise
+\`gaps(fraction)\` | Leaves out the given fraction of datapoints at random, e.g. 0.1 for 10%
+\`gap(from, to)\` | Leaves out the datapoints between two ISO 8601 times
+
+Generated series are deterministic: for a given seed, a timestamp always has the same value, whatever the time range or period of the graph. Datapoints are at whole multiples of the period.
 
 ### Example Expression
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', 'metricLabel', 10)
+LAMBDA('${functionName}', 'metricLabel', 10)
+\`\`\`
+
+Generate 3 series with a daily season, noise and missing data:
+
+\`\`\`
+LAMBDA('${functionName}', 'latency', '100 + sine(20, P1D) + walk(0.5) + noise(5) + gaps(0.05)', 42, 3)
 \`\`\`
 `;
-    return {
-        DataSourceConnectorName: 'Echo',
-        ArgumentDefaults: [{ Value: 'metricLabel' }, { Value: 10 }],
-        Description: description,
-    };
-};
 
-exports.handler = async (event) => {
-    switch (event.EventType) {
-        case 'GetMetricData':
-            return getMetricDataEventHandler(event);
-        case 'DescribeGetMetricData':
-            return describeGetMetricDataEventHandler(event);
-        default:
-            return getValidationError(`Unknown EventType: ${event.EventType}`);
-    }
-};
+exports.handler = createHandler({
+    name: 'Echo',
+    arguments: [
+        { type: 'string', example: 'metricLabel' },
+        { example: 10 },
+        { type: 'number', optional: true },
+        { type: 'number', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
@@ -1,8 +1,14 @@
-const cw = require('@aws-sdk/client-cloudwatch');
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData, getRetainedPeriod } = require('../common/cloudwatch');
+const { parseFullMetric } = require('../common/metric');
+const { toDate, toEpochSeconds } = require('../common/time');
+const { parseISO8601Duration, subtractDuration } = require('../common/duration');
 
 const DEFAULT_BUCKET_COUNT = 100;
 const MIN_BUCKET_COUNT = 1;
 const MAX_BUCKET_COUNT = 500;
+// Buckets below and above given bounds or edges, which count towards MAX_BUCKET_COUNT, as each bucket is a query
+const OPEN_BUCKET_COUNT = 2;
 const BASIC_STATS = ['Minimum', 'Maximum', 'SampleCount', 'Sum'];
 const ZERO_VALUE = 0.0;
 const EPSILON = 0.1;
@@ -13,21 +19,23 @@ const ZERO_VALUE_BIN = MIN_BIN_RANGE - 1;
 const NEGATIVE_ONE_BIN_OFFSET = -2 * MAX_BIN_RANGE - 2;
 const SMALLEST_BIN = NEGATIVE_ONE_BIN_OFFSET + MAX_BIN_RANGE;
 const MIN_VALUE_FOR_HIST = 0.0001;
-
-const describeGetMetricDataEventHandler = () => {
-    const FIRST_EXAMPLE_DEFAULT_ARGS_LIST = ['AWS/Lambda, Duration', 100];
-    const FIRST_EXAMPLE_DEFAULT_ARGS_STRING = FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) =>
-        typeof arg === 'string' ? `'${arg}'` : arg
-    ).join(', ');
-    const DESCRIPTION = `
+const MODES = new Set(['histogram', 'heatmap']);
+const SAMPLE_COUNT_ID = 'mSampleCount';
+const BUCKET_MODES = ['log', 'linear', 'explicit'];
+const LABEL_PRECISION = 4;
+const DISTRIBUTIONS = ['count', 'percent', 'cdf'];
+const PERCENTILE_MARKERS = ['p50', 'p90', 'p99'];
+
+const description = ({ functionName, exampleArguments }) => `
 ## Sample Cloudwatch histogram plotter
 
-Plots a logarithmic distribution of measurements for any CloudWatch metric that supports [percentiles](https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/cloudwatch_concepts.html#Percentiles).
+Plots a distribution of measurements, in logarithmic, linear or explicitly given buckets, for any CloudWatch metric that supports [percentiles](https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/cloudwatch_concepts.html#Percentiles).
 
 * To be able to see the graph, select *Bar* chart visualization in *Graph options*
-* Height of each bar is the number of samples in each bucket
-* Label of each bar is "center" value of bucket
+* Height of each bar is the number of samples in each bucket, or their percent of all samples
+* Label of each bar is "center" value of bucket, or its range for explicit edges or linear bounds, in the unit of the metric
 * Moving the graph legend to the right can help with visualizing
+* In \`heatmap\` mode, select *Stacked area* or *Bar* chart visualization to see how the distribution shifts over time
 
 ### Query arguments
 
@@ -35,24 +43,44 @@ Plots a logarithmic distribution of measurements for any CloudWatch metric that
 ---|---|---
 1 | String | The full name of the metric, in format <Namespace>, <MetricName>, <Dim Name 1>, <Dim Value 1>,... etc. URL encode the strings between commas.
 2 | Number | (optional) max number of buckets, number from ${MIN_BUCKET_COUNT} to ${MAX_BUCKET_COUNT} (defaults to ${DEFAULT_BUCKET_COUNT})
+3 | String | (optional) Mode, \`histogram\` (default) counts the samples over the whole time range. \`heatmap\` counts the samples in each period, with the same buckets for the whole time range
+4 | String | (optional) Buckets, \`log\` (default) logarithmic buckets between the minimum and maximum. \`linear\` the number of equal width buckets between the minimum and maximum, or between given bounds as \`linear:<lower>:<upper>\`, e.g. \`linear:0:100\` for a percentage. \`explicit:<edges>\` buckets between the given ascending edges, e.g. \`explicit:0,50,100,250,500,1000\`, to match latency objectives. Samples outside given bounds or edges are counted in a bucket below and a bucket above, which count towards the maximum of ${MAX_BUCKET_COUNT} buckets. Bounds and edges are in the unit of the metric
+5 | String | (optional) Unit to label buckets in, e.g. \`Seconds\`. By default labels are in the unit of the metric, scaled to fit the value, e.g. 1500 Milliseconds as 1.5s. For a metric published without a unit, its values are taken to be in this unit
+6 | String | (optional) Comma-separated list of outputs: \`count\` (default) the number of samples in each bucket, \`percent\` the percent of samples in each bucket, or \`cdf\` the cumulative percent of samples up to the top edge of each bucket. Add \`percentiles\` to mark the buckets p50, p90 and p99 of the whole time range fall in, e.g. \`cdf, percentiles\`
+7 | String | (optional) Baseline to compare with, as an ISO 8601 duration offset of the same time range in the past, e.g. \`P1D\` for the same time yesterday. The buckets span the data of both time ranges, and are returned twice, labelled \`current\` and \`baseline\`, as percent of samples so different traffic volumes still compare (\`count\` is shown as \`percent\`). In \`heatmap\` mode, a baseline older than 15 days is shown at the coarser period CloudWatch keeps for data of that age
 
 ### Example Expression
 
 Plot the histogram of all Lambda function calls:
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', ${FIRST_EXAMPLE_DEFAULT_ARGS_STRING})
+LAMBDA('${functionName}', ${exampleArguments})
 \`\`\`
-    `;
 
-    return {
-        DataSourceConnectorName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        ArgumentDefaults: FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) => {
-            return { Value: arg };
-        }),
-        Description: DESCRIPTION,
-    };
-};
+Plot a heatmap of Lambda function durations over time:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Duration', 20, 'heatmap')
+\`\`\`
+
+Plot the histogram of Lambda function durations in buckets matching latency objectives:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Duration', 100, 'histogram', 'explicit:0,50,100,250,500,1000')
+\`\`\`
+
+Plot the percent of Lambda function calls faster than 100ms, 300ms and 1s, with the buckets of p50, p90 and p99 marked:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Duration', 100, 'histogram', 'explicit:0,100,300,1000', 'Milliseconds', 'cdf, percentiles')
+\`\`\`
+
+Compare the distribution of Lambda function durations with the same time yesterday, e.g. after a deployment:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Duration', 20, 'histogram', 'log', 'Milliseconds', 'percent', 'P1D')
+\`\`\`
+    `;
 
 const constrainBinToAllowedRange = (binNumber) => {
     if (binNumber > MAX_BIN_RANGE) {
@@ -91,66 +119,155 @@ const getBinTop = (binNumber) => {
     return getValueWithinBin(binNumber + 1, 0);
 };
 
-const getLabelForValue = (value, unit) => {
-    let label;
-    const isMillis = /millis/i.test(unit);
-    const isSeconds = /^sec/i.test(unit);
-
-    if (isMillis) {
-        if (value < 1000) {
-            label = `${value.toPrecision(3)}ms`;
-        } else if (value < 1000000) {
-            label = `${(value / 1000).toPrecision(3)}s`;
-        } else {
-            label = `${(value / 1000).toPrecision(6)}s`;
+const getBinaryFamily = (symbol) => {
+    return ['', 'Ki', 'Mi', 'Gi', 'Ti'].map((prefix, i) => ({ symbol: `${prefix}${symbol}`, size: 1024 ** i }));
+};
+
+// Display units of each family of CloudWatch units, from smallest to largest
+const UNIT_FAMILIES = {
+    time: [
+        { symbol: 'µs', size: 0.000001 },
+        { symbol: 'ms', size: 0.001 },
+        { symbol: 's', size: 1 },
+        { symbol: 'min', size: 60 },
+        { symbol: 'h', size: 3600 },
+    ],
+    bytes: getBinaryFamily('B'),
+    bits: getBinaryFamily('b'),
+    bytesPerSecond: getBinaryFamily('B/s'),
+    bitsPerSecond: getBinaryFamily('b/s'),
+    percent: [{ symbol: '%', size: 1 }],
+    count: [{ symbol: '', size: 1 }],
+    countPerSecond: [{ symbol: '/s', size: 1 }],
+};
+
+// CloudWatch units, as their family and index of their display unit within it
+const UNITS = {
+    Microseconds: ['time', 0],
+    Milliseconds: ['time', 1],
+    Seconds: ['time', 2],
+    Bytes: ['bytes', 0],
+    Kilobytes: ['bytes', 1],
+    Megabytes: ['bytes', 2],
+    Gigabytes: ['bytes', 3],
+    Terabytes: ['bytes', 4],
+    Bits: ['bits', 0],
+    Kilobits: ['bits', 1],
+    Megabits: ['bits', 2],
+    Gigabits: ['bits', 3],
+    Terabits: ['bits', 4],
+    'Bytes/Second': ['bytesPerSecond', 0],
+    'Kilobytes/Second': ['bytesPerSecond', 1],
+    'Megabytes/Second': ['bytesPerSecond', 2],
+    'Gigabytes/Second': ['bytesPerSecond', 3],
+    'Terabytes/Second': ['bytesPerSecond', 4],
+    'Bits/Second': ['bitsPerSecond', 0],
+    'Kilobits/Second': ['bitsPerSecond', 1],
+    'Megabits/Second': ['bitsPerSecond', 2],
+    'Gigabits/Second': ['bitsPerSecond', 3],
+    'Terabits/Second': ['bitsPerSecond', 4],
+    Percent: ['percent', 0],
+    Count: ['count', 0],
+    'Count/Second': ['countPerSecond', 0],
+    None: ['count', 0],
+};
+
+const getUnit = (unit) => {
+    const [family, index] = UNITS[unit] || UNITS.None;
+    return { family, ...UNIT_FAMILIES[family][index] };
+};
+
+// Labels a value of the metric's unit. Without a display unit, the value is shown in the largest unit of the family
+// it is at least 1 of, e.g. 1500 Milliseconds as 1.5s.
+const getLabelForValue = (value, unit, displayUnit) => {
+    const { family, symbol, size } = getUnit(unit);
+    let display = displayUnit ? getUnit(displayUnit) : { symbol, size };
+    if (!displayUnit && value !== ZERO_VALUE) {
+        display =
+            UNIT_FAMILIES[family].filter((familyUnit) => Math.abs(value) * size >= familyUnit.size).pop() || display;
+    }
+    const displayValue = (value * size) / display.size;
+    return `${parseFloat(displayValue.toPrecision(LABEL_PRECISION))}${display.symbol}`;
+};
+
+const parseNumbers = (name, str) => {
+    return str.split(',').map((part) => {
+        const value = Number(part.trim());
+        if (part.trim() === '' || !Number.isFinite(value)) {
+            throw Error(`Invalid ${name} '${str}', expected numbers`, { cause: 'Validation' });
         }
-    } else if (isSeconds) {
-        if (value < 1) {
-            label = `${(value * 1000).toPrecision(3)}ms`;
-        } else if (value < 1000) {
-            label = `${value.toPrecision(3)}s`;
-        } else {
-            label = `${value.toPrecision(6)}s`;
+        return value;
+    });
+};
+
+// Bucket modes: log, linear, linear:<lower>:<upper> or explicit:<edge>,<edge>,...
+const parseBuckets = (str) => {
+    const [bucketMode, ...params] = str.split(':').map((part) => part.trim());
+    if ((bucketMode === 'log' || bucketMode === 'linear') && params.length === 0) {
+        return { mode: bucketMode };
+    }
+    if (bucketMode === 'linear' && params.length === 2) {
+        const bounds = parseNumbers('linear bucket bounds', params.join(','));
+        const [lower, upper] = bounds;
+        if (bounds.length !== 2 || !(lower < upper)) {
+            throw Error(`Linear bucket bounds '${str}' must have the lower bound below the upper bound`, {
+                cause: 'Validation',
+            });
         }
-    } else {
-        label = `${value.toPrecision(6)}`;
+        return { mode: bucketMode, lower, upper };
     }
-
-    return label;
+    if (bucketMode === 'explicit' && params.length === 1) {
+        const edges = parseNumbers('bucket edges', params[0]);
+        const maxEdges = MAX_BUCKET_COUNT - OPEN_BUCKET_COUNT + 1;
+        if (edges.length < 2 || edges.length > maxEdges) {
+            throw Error(`Expected 2 to ${maxEdges} bucket edges, found ${edges.length}`, { cause: 'Validation' });
+        }
+        if (edges.some((edge, i) => i > 0 && edge <= edges[i - 1])) {
+            throw Error(`Bucket edges '${params[0]}' must be in ascending order`, { cause: 'Validation' });
+        }
+        return { mode: bucketMode, edges };
+    }
+    throw Error(
+        `Unrecognised buckets '${str}', expected ${BUCKET_MODES.join(
+            ', '
+        )}, linear:<lower>:<upper> or explicit:<edges>`,
+        { cause: 'Validation' }
+    );
 };
 
-const parseFullMetric = (fullMetricString) => {
-    const metricFields = fullMetricString.split(',').map((field) => field.trim());
-    if (metricFields.length < 2 || metricFields.length % 2 !== 0) {
+// Outputs: one of the distributions, and percentiles to mark the buckets they fall in
+const parseOutputs = (str) => {
+    const outputList = str
+        .split(',')
+        .map((output) => output.trim())
+        .filter((output) => output);
+    const unknownOutput = outputList.find((output) => output !== 'percentiles' && !DISTRIBUTIONS.includes(output));
+    if (unknownOutput !== undefined) {
         throw Error(
-            `Malformed full metric name, expected <Namespace>,<MetricName>,<DimPair Name 1>,<DimPair Value 1>,... etc`,
+            `Unrecognised output '${unknownOutput}', expected one of ${[...DISTRIBUTIONS, 'percentiles'].join(', ')}`,
             { cause: 'Validation' }
         );
     }
-    const Namespace = decodeURIComponent(metricFields[0]);
-    const MetricName = decodeURIComponent(metricFields[1]);
-    const Dimensions = [];
-    for (let dimIndex = 2; dimIndex < metricFields.length - 1; dimIndex += 2) {
-        Dimensions.push({
-            Name: decodeURIComponent(metricFields[dimIndex]),
-            Value: decodeURIComponent(metricFields[dimIndex + 1]),
+    const distributions = outputList.filter((output) => DISTRIBUTIONS.includes(output));
+    if (distributions.length > 1) {
+        throw Error(`Expected one of ${DISTRIBUTIONS.join(', ')} in outputs, found ${distributions.join(', ')}`, {
+            cause: 'Validation',
         });
     }
-    return { Namespace, MetricName, Dimensions };
+    return { distribution: distributions[0] || 'count', markers: outputList.includes('percentiles') };
 };
 
-const validateGetMetricDataRequest = (Arguments) => {
-    if (Arguments.length !== 1 && Arguments.length !== 2) {
-        throw Error(`Expected 1 or 2 arguments, received ${Arguments.length}`, { cause: 'Validation' });
-    }
+const parseArguments = (Arguments) => {
     const fullMetric = Arguments[0];
     let bucketCount = DEFAULT_BUCKET_COUNT;
-    if (Arguments.length === 2) {
+    if (Arguments.length >= 2) {
         bucketCount = parseInt(Arguments[1], 10);
     }
-    if (typeof fullMetric !== 'string') {
-        throw Error(`Unexpected argument type, expected (<string>[, <number>])`, { cause: 'Validation' });
-    }
+    const mode = Arguments.length >= 3 ? Arguments[2] : 'histogram';
+    const buckets = parseBuckets(Arguments.length >= 4 ? Arguments[3] : 'log');
+    const displayUnit = Arguments.length >= 5 ? Arguments[4] : undefined;
+    const outputs = parseOutputs(Arguments.length >= 6 ? Arguments[5] : 'count');
+    const baseline = Arguments.length >= 7 ? parseISO8601Duration(Arguments[6]) : undefined;
     const metric = parseFullMetric(fullMetric);
 
     if (bucketCount < MIN_BUCKET_COUNT || bucketCount > MAX_BUCKET_COUNT) {
@@ -159,12 +276,51 @@ const validateGetMetricDataRequest = (Arguments) => {
             { cause: 'Validation' }
         );
     }
+    if (buckets.lower !== undefined && bucketCount > MAX_BUCKET_COUNT - OPEN_BUCKET_COUNT) {
+        throw Error(
+            `Bucket count (${bucketCount}) with linear bounds must be at most ${
+                MAX_BUCKET_COUNT - OPEN_BUCKET_COUNT
+            }, as samples outside the bounds are counted in ${OPEN_BUCKET_COUNT} more buckets`,
+            { cause: 'Validation' }
+        );
+    }
+
+    if (!MODES.has(mode)) {
+        throw Error(`Unrecognised mode '${mode}', expected one of ${[...MODES].join(', ')}`, { cause: 'Validation' });
+    }
 
-    return { metric, bucketCount };
+    if (displayUnit !== undefined && UNITS[displayUnit] === undefined) {
+        throw Error(`Unrecognised unit '${displayUnit}', expected a CloudWatch unit, e.g. Milliseconds or Bytes`, {
+            cause: 'Validation',
+        });
+    }
+
+    if (baseline !== undefined && baseline.months <= 0 && baseline.seconds <= 0) {
+        throw Error(`Baseline offset ${Arguments[6]} must be greater than zero`, { cause: 'Validation' });
+    }
+
+    // Time ranges with different numbers of samples are compared by percent
+    const distribution = baseline && outputs.distribution === 'count' ? 'percent' : outputs.distribution;
+
+    return { metric, bucketCount, mode, buckets, displayUnit, distribution, markers: outputs.markers, baseline };
+};
+
+// GetMetricData doesn't return units, so the unit is looked up with GetMetricStatistics, as None if there is no data
+const getMetricUnit = async (metric, StartTime, EndTime, rangePeriod, region) => {
+    const cloudwatch = getCloudWatchClient(region);
+    const { Datapoints } = await cloudwatch.getMetricStatistics({
+        ...metric,
+        StartTime: toDate(StartTime),
+        EndTime: toDate(EndTime),
+        Period: rangePeriod,
+        Statistics: ['SampleCount'],
+    });
+    const datapoint = Datapoints.find(({ Unit }) => UNITS[Unit] !== undefined);
+    return datapoint ? datapoint.Unit : 'None';
 };
 
-const getMetricBasicStats = async (metric, StartTime, EndTime, rangePeriod, region) => {
-    const metricQueries = BASIC_STATS.map((stat) => {
+const getMetricBasicStats = async (metric, StartTime, EndTime, rangePeriod, region, stats) => {
+    const metricQueries = stats.map((stat) => {
         return {
             Id: `m${stat}`,
             MetricStat: {
@@ -176,11 +332,11 @@ const getMetricBasicStats = async (metric, StartTime, EndTime, rangePeriod, regi
     });
     const getMetricDataParams = {
         MetricDataQueries: metricQueries,
-        StartTime: new Date(StartTime * 1000),
-        EndTime: new Date(EndTime * 1000),
+        StartTime: toDate(StartTime),
+        EndTime: toDate(EndTime),
     };
-    const cloudwatch = new cw.CloudWatch({ region });
-    const getMetricDataResult = await cloudwatch.getMetricData(getMetricDataParams);
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResult = await getAllMetricData(cloudwatch, getMetricDataParams);
 
     const basicStats = {};
     getMetricDataResult.MetricDataResults.forEach((metricData) => {
@@ -191,8 +347,9 @@ const getMetricBasicStats = async (metric, StartTime, EndTime, rangePeriod, regi
     return basicStats;
 };
 
-const getHistogramMetricDefinitions = (metric, min, max, rangePeriod, bucketCount) => {
-    const metricDefinitions = [];
+// Logarithmic buckets, each spanning a whole number of bins of getBinNumber
+const getLogBuckets = (min, max, bucketCount, getLabel) => {
+    const buckets = [];
     const useZeroBucketForMin = !!(min < MIN_VALUE_FOR_HIST);
     const minBucketNum = useZeroBucketForMin ? getBinNumber(MIN_VALUE_FOR_HIST) : getBinNumber(min);
     const maxBucketNum = getBinNumber(max);
@@ -205,97 +362,294 @@ const getHistogramMetricDefinitions = (metric, min, max, rangePeriod, bucketCoun
         const top = getBinTop(binRound);
         const middle = (top + currentBucketBottom) / 2;
 
-        // Use PR stats to get percentage of samples in each histogram bucket
-        const stat = `PR(${currentBucketBottom.toPrecision(6)}:${top.toPrecision(6)})`;
-        const label = getLabelForValue(middle);
+        buckets.push({
+            id: `m${binRound}`,
+            bottom: currentBucketBottom,
+            top,
+            label: getLabel(middle),
+        });
+
+        currentBucketBottom = top;
+    }
+
+    return buckets;
+};
+
+// Equal width buckets from min to max. The first and last buckets are open ended, so they include min and max.
+// Without data in the time range there is nothing to put in buckets.
+const getLinearBuckets = (min, max, bucketCount, getLabel) => {
+    if (min === undefined || max === undefined) {
+        return [];
+    }
+    const width = (max - min) / bucketCount;
+    const buckets = [];
+    for (let i = 0; i < bucketCount; i++) {
+        const bottom = min + i * width;
+        const top = i === bucketCount - 1 ? max : bottom + width;
+        buckets.push({
+            id: `m${i}`,
+            bottom: i === 0 ? undefined : bottom,
+            top: i === bucketCount - 1 ? undefined : top,
+            label: getLabel((bottom + top) / 2),
+        });
+        if (width === 0) {
+            break;
+        }
+    }
+    return buckets;
+};
 
-        metricDefinitions.push({
-            Id: `m${binRound}`,
+// Buckets between consecutive edges, labelled with their range. Samples outside the edges are counted in open ended
+// buckets below the first edge and above the last edge.
+const getBucketsBetweenEdges = (min, max, edges, getLabel) => {
+    const buckets = edges.slice(1).map((top, i) => {
+        return {
+            id: `m${i}`,
+            bottom: edges[i],
+            top,
+            label: `${getLabel(edges[i])} to ${getLabel(top)}`,
+        };
+    });
+    const first = edges[0];
+    const last = edges[edges.length - 1];
+    if (min <= first) {
+        buckets.unshift({ id: 'mBelow', top: first, label: `<= ${getLabel(first)}` });
+    }
+    if (max > last) {
+        buckets.push({ id: 'mAbove', bottom: last, label: `> ${getLabel(last)}` });
+    }
+    return buckets;
+};
+
+const getLinearEdges = (lower, upper, bucketCount) => {
+    const width = (upper - lower) / bucketCount;
+    return [...Array(bucketCount + 1).keys()].map((i) => (i === bucketCount ? upper : lower + i * width));
+};
+
+const getBuckets = (min, max, bucketCount, buckets, getLabel) => {
+    if (buckets.mode === 'linear' && buckets.lower !== undefined) {
+        return getBucketsBetweenEdges(min, max, getLinearEdges(buckets.lower, buckets.upper, bucketCount), getLabel);
+    }
+    if (buckets.mode === 'linear') {
+        return getLinearBuckets(min, max, bucketCount, getLabel);
+    }
+    if (buckets.mode === 'explicit') {
+        return getBucketsBetweenEdges(min, max, buckets.edges, getLabel);
+    }
+    return getLogBuckets(min, max, bucketCount, getLabel);
+};
+
+// Returns the function that labels bucket values. Values of a metric without a unit are in the display unit.
+const getBucketLabeler = (unit, displayUnit) => {
+    if (unit === 'None' && displayUnit) {
+        return (value) => getLabelForValue(value, displayUnit);
+    }
+    if (displayUnit && getUnit(unit).family !== getUnit(displayUnit).family) {
+        throw Error(`Display unit ${displayUnit} can't be used for a metric in ${unit}`, { cause: 'Validation' });
+    }
+    return (value) => getLabelForValue(value, unit, displayUnit);
+};
+
+const getHistogramMetricDefinitions = (metric, histogramBuckets, histogramPeriod) => {
+    return histogramBuckets.map(({ id, bottom, top, label }) => {
+        // Use PR stats to get percentage of samples in each histogram bucket, bottom exclusive and top inclusive
+        const bottomBound = bottom === undefined ? '' : bottom.toPrecision(6);
+        const topBound = top === undefined ? '' : top.toPrecision(6);
+        return {
+            Id: id,
             Label: label,
             MetricStat: {
                 Metric: metric,
-                Stat: stat,
-                Period: rangePeriod,
+                Stat: `PR(${bottomBound}:${topBound})`,
+                Period: histogramPeriod,
             },
-        });
+        };
+    });
+};
 
-        currentBucketBottom = top;
+// The percentiles of the whole time range that fall in the bucket
+const getBucketMarkers = ({ bottom, top }, basicStats) => {
+    return PERCENTILE_MARKERS.filter((stat) => {
+        const value = basicStats[stat];
+        return value !== undefined && (bottom === undefined || value > bottom) && (top === undefined || value <= top);
+    });
+};
+
+// A CDF bucket is labelled with its top edge, as it has the percent of samples up to it
+const getCdfBuckets = (histogramBuckets, max, getLabel) => {
+    return histogramBuckets.map((bucket) => {
+        return { ...bucket, label: `<= ${getLabel(bucket.top === undefined ? max : bucket.top)}` };
+    });
+};
+
+// Adds the percentiles that fall in each bucket to its label, and the name of the time range when comparing two
+const labelBuckets = (histogramBuckets, basicStats, { markers, comparison }) => {
+    return histogramBuckets.map((bucket) => {
+        const bucketMarkers = markers ? getBucketMarkers(bucket, basicStats) : [];
+        const label = bucketMarkers.length > 0 ? `${bucket.label} (${bucketMarkers.join(', ')})` : bucket.label;
+        if (!comparison) {
+            return { ...bucket, label };
+        }
+        return { ...bucket, id: `${comparison}_${bucket.id}`, label: `${comparison} ${label}` };
+    });
+};
+
+// Sample counts of each histogram period, to convert the PR stats of the same period to counts. Over the whole time
+// range that is the SampleCount from the basic stats, in heatmap mode it is queried for each period.
+const getSampleCounts = (metricData, basicStats, heatmap) => {
+    if (!heatmap) {
+        return { get: () => basicStats.SampleCount };
     }
+    const sampleCounts = metricData.find((metric) => metric.Id === SAMPLE_COUNT_ID);
+    return new Map(sampleCounts.Timestamps.map((timestamp, index) => [timestamp, sampleCounts.Values[index]]));
+};
 
-    return metricDefinitions;
+// Adds up the percent of samples in the buckets, in bucket order, at each timestamp
+const accumulateBuckets = (histogramData) => {
+    const cumulative = new Map();
+    histogramData.forEach((metric) => {
+        metric.Values = metric.Values.map((percent, index) => {
+            const timestamp = metric.Timestamps[index];
+            cumulative.set(timestamp, (cumulative.get(timestamp) || 0) + percent);
+            return cumulative.get(timestamp);
+        });
+    });
 };
 
-const getHistogramData = async (metric, StartTime, EndTime, rangePeriod, region, bucketCount, basicStats) => {
-    const metricQueries = getHistogramMetricDefinitions(
-        metric,
-        basicStats.Minimum,
-        basicStats.Maximum,
-        rangePeriod,
-        bucketCount
-    );
-    const getMetricDataParams = {
-        MetricDataQueries: metricQueries,
-        StartTime: new Date(StartTime * 1000),
-        EndTime: new Date(EndTime * 1000),
+// Gets the histogram of one time range. Timestamps are moved forward by options.shift seconds, so a baseline time
+// range lines up with the current one.
+const getHistogramData = async (metric, StartTime, EndTime, histogramPeriod, region, basicStats, options) => {
+    const { heatmap, distribution, shift } = options;
+    const histogramBuckets = labelBuckets(options.histogramBuckets, basicStats, options);
+    const metricQueries = getHistogramMetricDefinitions(metric, histogramBuckets, histogramPeriod);
+    const sampleCountQuery = {
+        Id: SAMPLE_COUNT_ID,
+        MetricStat: {
+            Metric: metric,
+            Stat: 'SampleCount',
+            Period: histogramPeriod,
+        },
     };
-    const cloudwatch = new cw.CloudWatch({ region });
-    const getMetricDataResult = await cloudwatch.getMetricData(getMetricDataParams);
-    const metricData = getMetricDataResult.MetricDataResults;
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResults = await Promise.all(
+        // The buckets can use up all the queries GetMetricData allows in a call, so SampleCount has a call of its own
+        (heatmap ? [metricQueries, [sampleCountQuery]] : [metricQueries]).map((MetricDataQueries) =>
+            getAllMetricData(cloudwatch, { MetricDataQueries, StartTime: toDate(StartTime), EndTime: toDate(EndTime) })
+        )
+    );
+    const metricData = getMetricDataResults.flatMap(({ MetricDataResults }) => MetricDataResults);
 
     // Convert timestamps from Date() -> seconds, which is what is expected format from Lambda
-    // Convert percentage values from PR stats to Counts
     metricData.forEach((metric) => {
         /* eslint no-param-reassign: ["error", { "props": false }] */
-        metric.Timestamps = metric.Timestamps.map((ts) => {
-            return ts.getTime() / 1000;
-        });
-        metric.Values = metric.Values.map((percent) => {
-            return Math.round((percent * basicStats.SampleCount) / 100);
+        metric.Timestamps = metric.Timestamps.map((timestamp) => toEpochSeconds(timestamp) + shift);
+    });
+
+    // Convert percentage values from PR stats to Counts unless percentages are wanted, dropping periods without data
+    const sampleCounts = getSampleCounts(metricData, basicStats, heatmap);
+    const bucketOrder = new Map(histogramBuckets.map(({ id }, index) => [id, index]));
+    const histogramData = metricData
+        .filter((metric) => metric.Id !== SAMPLE_COUNT_ID)
+        .sort((a, b) => bucketOrder.get(a.Id) - bucketOrder.get(b.Id));
+    histogramData.forEach((metric) => {
+        const datapoints = metric.Timestamps.map((timestamp, index) => [timestamp, metric.Values[index]]).filter(
+            ([timestamp]) => sampleCounts.get(timestamp) !== undefined
+        );
+        metric.Timestamps = datapoints.map(([timestamp]) => timestamp);
+        metric.Values = datapoints.map(([timestamp, percent]) => {
+            return distribution === 'count' ? Math.round((percent * sampleCounts.get(timestamp)) / 100) : percent;
         });
-        metric.Unit = 'Count';
+        metric.Unit = distribution === 'count' ? 'Count' : 'Percent';
     });
-    return { MetricDataResults: metricData };
+    if (distribution === 'cdf') {
+        accumulateBuckets(histogramData);
+    }
+    return { MetricDataResults: histogramData };
 };
 
-const getMetricDataEventHandler = async (event) => {
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const { region } = event;
-    const { metric, bucketCount } = validateGetMetricDataRequest(Arguments);
-
-    // Calculate a valid period matching the full time range, rounded up to Period
+// A valid period matching the full time range, rounded up to Period, and to a period CloudWatch still has data of
+// that age at, e.g. for a baseline a month back
+const getRangePeriod = (StartTime, EndTime, Period) => {
     const timeRange = EndTime - StartTime;
-    const rangePeriod = timeRange - (timeRange % Period) + Period;
-
-    // Get Minimum and Maximum of metric first, to determine limits of "buckets"
-    const basicStats = await getMetricBasicStats(metric, StartTime, EndTime, rangePeriod, region);
-
-    // Now get all the buckets, knowing the limits of data
-    const histogramData = await getHistogramData(
-        metric,
-        StartTime,
-        EndTime,
-        rangePeriod,
-        region,
-        bucketCount,
-        basicStats
-    );
-
-    return histogramData;
+    return getRetainedPeriod(StartTime, timeRange - (timeRange % Period) + Period);
 };
 
-exports.handler = async (event) => {
-    try {
-        switch (event.EventType) {
-            case 'GetMetricData':
-                return await getMetricDataEventHandler(event);
-            case 'DescribeGetMetricData':
-                return describeGetMetricDataEventHandler(event);
-            default:
-                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
-        }
-    } catch (err) {
-        const message = err.message || err;
-        const code = err.cause || 'InternalError';
-        return { Error: { Code: code, Value: message } };
+const getMetricData = async (
+    { StartTime, EndTime, Period, region },
+    { metric, bucketCount, mode, buckets, displayUnit, distribution, markers, baseline }
+) => {
+    // The time ranges to plot, the current one and the baseline to compare it with, if any
+    const ranges = [{ comparison: baseline && 'current', StartTime, EndTime }];
+    if (baseline) {
+        const baselineStart = subtractDuration(StartTime, baseline);
+        const baselineEnd = subtractDuration(EndTime, baseline);
+        ranges.push({ comparison: 'baseline', StartTime: baselineStart, EndTime: baselineEnd });
     }
+
+    // Get Minimum and Maximum of metric first, to determine limits of "buckets", and its unit to label them
+    const stats = markers ? [...BASIC_STATS, ...PERCENTILE_MARKERS] : BASIC_STATS;
+    const [unit, ...rangeStats] = await Promise.all([
+        getMetricUnit(metric, StartTime, EndTime, getRangePeriod(StartTime, EndTime, Period), region),
+        ...ranges.map((range) => {
+            const rangePeriod = getRangePeriod(range.StartTime, range.EndTime, Period);
+            return getMetricBasicStats(metric, range.StartTime, range.EndTime, rangePeriod, region, stats);
+        }),
+    ]);
+    const getLabel = getBucketLabeler(unit, displayUnit);
+
+    // The buckets are shared by the time ranges, spanning the data of both
+    const minimums = rangeStats.map(({ Minimum }) => Minimum).filter((value) => value !== undefined);
+    const maximums = rangeStats.map(({ Maximum }) => Maximum).filter((value) => value !== undefined);
+    const min = minimums.length > 0 ? Math.min(...minimums) : undefined;
+    const max = maximums.length > 0 ? Math.max(...maximums) : undefined;
+    let histogramBuckets = getBuckets(min, max, bucketCount, buckets, getLabel);
+    if (histogramBuckets.length === 0) {
+        return { MetricDataResults: [] };
+    }
+    if (distribution === 'cdf') {
+        histogramBuckets = getCdfBuckets(histogramBuckets, max, getLabel);
+    }
+
+    // Now get all the buckets, knowing the limits of data, over the whole range or in each period for a heatmap
+    const heatmap = mode === 'heatmap';
+    const histogramData = await Promise.all(
+        ranges.map((range, index) => {
+            const histogramPeriod = heatmap
+                ? getRetainedPeriod(range.StartTime, Period)
+                : getRangePeriod(range.StartTime, range.EndTime, Period);
+            return getHistogramData(
+                metric,
+                range.StartTime,
+                range.EndTime,
+                histogramPeriod,
+                region,
+                rangeStats[index],
+                {
+                    histogramBuckets,
+                    heatmap,
+                    distribution,
+                    markers,
+                    comparison: range.comparison,
+                    shift: StartTime - range.StartTime,
+                }
+            );
+        })
+    );
+
+    return { MetricDataResults: histogramData.flatMap(({ MetricDataResults }) => MetricDataResults) };
 };
+
+exports.handler = createHandler({
+    arguments: [
+        { type: 'string', example: 'AWS/Lambda, Duration' },
+        { type: 'number', example: 100, optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
@@ -1,14 +1,14 @@
-const cw = require('@aws-sdk/client-cloudwatch');
-
-const describeGetMetricDataEventHandler = () => {
-    const FIRST_EXAMPLE_DEFAULT_ARGS_LIST = ['AWS/Lambda,Duration', 'Average', 10];
-    const FIRST_EXAMPLE_DEFAULT_ARGS_STRING = FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) =>
-        typeof arg === 'string' ? `'${arg}'` : arg
-    ).join(', ');
-    const DESCRIPTION = `
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData } = require('../common/cloudwatch');
+const { parseFullMetric } = require('../common/metric');
+const { toDate } = require('../common/time');
+const { parseISO8601Duration } = require('../common/duration');
+const { parseResampling, resampleSeries } = require('../common/resample');
+
+const description = ({ functionName, exampleArguments }) => `
 ## Sample Cloudwatch Metric moving average data source connector
 
-Returns the moving average for a CloudWatch Metric. Each datapoint is the average of the original datapoint and the trailing N - 1 datapoints. Missing data is ignored.
+Returns the moving average for a CloudWatch Metric. Each datapoint is the average of the original datapoint and the trailing N - 1 datapoints. Missing data is ignored. Other moving window methods are available, such as the exponential moving average or the moving median.
 
 ### Query arguments
 
@@ -16,115 +16,287 @@ Returns the moving average for a CloudWatch Metric. Each datapoint is the averag
 ---|---|---
 1 | String | The full name of the metric, in format <Namespace>,<MetricName>,<Dim Name 1>,<Dim Value 1>,... etc. URL encode the strings between commas
 2 | String | The statistic to retrieve for the metric
-3 | Number | The number of datapoints to average, from 2 upwards
+3 | Number or String | The window, either the number of datapoints, from 2 upwards, or a duration in ISO 8601 format, e.g. \`PT1H\`, which keeps the same meaning when the period changes as the graph is zoomed
+4 | String | (optional) Method, \`mean\` (default), \`wma\` (weighted, newer datapoints count more), \`median\`, \`min\`, \`max\`, \`sum\` or \`ema\` (exponential). \`ema\` uses a smoothing factor of 2 / (N + 1) for a window of N datapoints, or the one given as \`ema:<alpha>\`, e.g. \`ema:0.1\`, or the half-life given as \`ema:<duration>\`, e.g. \`ema:PT30M\`
+5 | String | (optional) Comma-separated list of outputs: \`average\` (default) the moving average, \`upper\` and \`lower\` bands at k standard deviations of the window around it, and \`outside\`, 1 when the datapoint is outside the bands and 0 otherwise, ready for alarming
+6 | Number | (optional) k, the number of standard deviations of the bands, default ${DEFAULT_K}
+7 | String | (optional) Gap filling of the returned series, \`null\` (default) leaves gaps as missing data, \`zero\` fills them with 0, \`last\` with the last value before them and \`linear\` interpolates between the datapoints either side. Only gaps between two datapoints are filled with \`last\` and \`linear\`. The metric is realigned to the period of the graph, with datapoints that fall in the same period combined with the aggregation given as \`<fill>:<aggregation>\`, e.g. \`null:max\`, one of \`average\` (default), \`sum\`, \`min\`, \`max\`, \`first\` or \`last\`
+
+The window includes the datapoint itself, so with a window of N datapoints no datapoint can be more than (N - 1) / √N standard deviations away. Use windows of 10 or more datapoints for bands at 2 standard deviations.
 
 ### Example Expression
 Plot 10-datapoint moving average of duration of all Lambda functions:
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', ${FIRST_EXAMPLE_DEFAULT_ARGS_STRING})
+LAMBDA('${functionName}', ${exampleArguments})
+\`\`\`
+
+Plot the 1 hour moving median of duration of all Lambda functions:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda,Duration', 'Average', 'PT1H', 'median')
+\`\`\`
+
+Plot the 20-datapoint moving average of duration of all Lambda functions, with bands at 2 standard deviations:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda,Duration', 'Average', 20, 'mean', 'average, upper, lower')
+\`\`\`
+
+Alarm when duration of all Lambda functions is outside the bands at 3 standard deviations:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda,Duration', 'Average', 20, 'mean', 'outside', 3)
+\`\`\`
+
+Plot the exponential moving average of duration of all Lambda functions, with a half-life of 30 minutes:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda,Duration', 'Average', 'PT2H', 'ema:PT30M')
+\`\`\`
+
+Plot the 10-datapoint moving average of duration of all Lambda functions, interpolating across periods without invocations:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda,Duration', 'Average', 10, 'mean', 'average', ${DEFAULT_K}, 'linear')
 \`\`\`
     `;
 
-    return {
-        DataSourceConnectorName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        ArgumentDefaults: FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) => {
-            return { Value: arg };
-        }),
-        Description: DESCRIPTION,
-    };
+// Methods calculated from running totals of the window, which are updated as it moves
+const RUNNING_FUNCTIONS = {
+    mean: ({ count, sum }) => sum / count,
+    sum: ({ sum }) => sum,
+    // Weights increase linearly from the oldest to the newest period in the window
+    wma: ({ weightedSum, totalWeight }) => weightedSum / totalWeight,
 };
 
-const parseFullMetric = (fullMetricString) => {
-    const metricFields = fullMetricString.split(',').map((field) => field.trim());
-    if (metricFields.length < 2 || metricFields.length % 2 !== 0) {
-        throw Error(
-            `Malformed full metric name, expected <Namespace>,<MetricName>,<DimPair Name 1>,<DimPair Value 1>,... etc`,
-            { cause: 'Validation' }
-        );
+// Methods calculated from all values in the window at each step
+const WINDOW_FUNCTIONS = {
+    min: (values) => Math.min(...values),
+    max: (values) => Math.max(...values),
+    median: (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+};
+
+// From the running totals of the window too. Rounding can leave the variance just below 0 when all values are equal.
+const getStandardDeviation = ({ count, sum, sumOfSquares }) => {
+    const mean = sum / count;
+    return Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean));
+};
+
+// Each output series is built from the datapoint, the moving value and the spread of the window at each time
+const OUTPUT_SERIES = {
+    average: { suffix: '', getValue: ({ movingValue }) => movingValue },
+    upper: { suffix: ' upper', getValue: ({ movingValue, deviation }) => movingValue + deviation },
+    lower: { suffix: ' lower', getValue: ({ movingValue, deviation }) => movingValue - deviation },
+    outside: {
+        suffix: ' outside',
+        getValue: ({ value, movingValue, deviation }) => {
+            if (value === undefined) {
+                return undefined;
+            }
+            return value > movingValue + deviation || value < movingValue - deviation ? 1 : 0;
+        },
+    },
+};
+
+const METHODS = new Set([...Object.keys(RUNNING_FUNCTIONS), ...Object.keys(WINDOW_FUNCTIONS), 'ema']);
+// EMA has no fixed window, so history is loaded until the weight of older datapoints drops below 1%
+const EMA_NEGLIGIBLE_WEIGHT = 0.01;
+const MAX_LOOK_BACK_PERIODS = 10080;
+const DEFAULT_K = 2;
+
+const parseWindow = (window) => {
+    if (typeof window === 'number') {
+        if (window < 2 || !Number.isInteger(window)) {
+            throw Error(`Number of datapoints, ${window}, must be a whole number greater than 1`, {
+                cause: 'Validation',
+            });
+        }
+        return { datapoints: window };
     }
-    const Namespace = decodeURIComponent(metricFields[0]);
-    const MetricName = decodeURIComponent(metricFields[1]);
-    const Dimensions = [];
-    for (let dimIndex = 2; dimIndex < metricFields.length - 1; dimIndex += 2) {
-        Dimensions.push({
-            Name: decodeURIComponent(metricFields[dimIndex]),
-            Value: decodeURIComponent(metricFields[dimIndex + 1]),
+    const duration = parseISO8601Duration(`${window}`);
+    if (duration.months > 0 || duration.seconds <= 0) {
+        throw Error(`Window ${window} must be a duration of weeks, days, hours, minutes or seconds`, {
+            cause: 'Validation',
         });
     }
-    return { Namespace, MetricName, Dimensions };
+    return { seconds: duration.seconds };
 };
 
-const validateGetMetricDataRequest = (Arguments) => {
-    if (Arguments.length !== 3) {
-        throw Error(`Expected 3 arguments, received ${Arguments.length}`, { cause: 'Validation' });
-    }
-    const [fullMetric, stat, numberOfDatapoints] = Arguments;
-
-    if (typeof fullMetric !== 'string' || typeof stat !== 'string' || typeof numberOfDatapoints !== 'number') {
-        throw Error(`Unexpected argument type, expected (<string>, <string>, <number>)`, { cause: 'Validation' });
-    }
-    if (numberOfDatapoints < 2) {
-        throw Error(`Number of datapoints, ${numberOfDatapoints}, must be greater than 1`, {
+// ema uses a smoothing factor of 2 / (N + 1) for a window of N datapoints, unless given one as ema:<alpha>, or a
+// half-life as ema:<ISO duration>
+const parseMethod = (method) => {
+    const [name, parameter] = method.split(':').map((part) => part.trim());
+    if (!METHODS.has(name) || (parameter !== undefined && name !== 'ema')) {
+        throw Error(`Unrecognised method '${method}', expected one of ${[...METHODS].join(', ')} or ema:<alpha>`, {
             cause: 'Validation',
         });
     }
+    if (parameter === undefined) {
+        return { name };
+    }
+    if (/^P/.test(parameter)) {
+        const { months, seconds } = parseISO8601Duration(parameter);
+        if (months > 0 || seconds <= 0) {
+            throw Error(`Half-life ${parameter} must be a duration of weeks, days, hours, minutes or seconds`, {
+                cause: 'Validation',
+            });
+        }
+        return { name, halfLife: seconds };
+    }
+    const alpha = Number(parameter);
+    if (!(alpha > 0 && alpha <= 1)) {
+        throw Error(`Smoothing factor ${parameter} must be greater than 0, up to 1`, { cause: 'Validation' });
+    }
+    return { name, alpha };
+};
 
+const parseOutputs = (outputs) => {
+    const outputList = outputs
+        .split(',')
+        .map((output) => output.trim())
+        .filter((output) => output);
+    const unknownOutput = outputList.find((output) => OUTPUT_SERIES[output] === undefined);
+    if (unknownOutput !== undefined || outputList.length === 0) {
+        throw Error(
+            `Unrecognised output '${unknownOutput || outputs}', expected one of ${Object.keys(OUTPUT_SERIES).join(
+                ', '
+            )}`,
+            { cause: 'Validation' }
+        );
+    }
+    return outputList;
+};
+
+const parseArguments = ([
+    fullMetric,
+    stat,
+    window,
+    method = 'mean',
+    outputs = 'average',
+    k = DEFAULT_K,
+    fill = 'null',
+]) => {
     const metric = parseFullMetric(fullMetric);
+    if (!(k > 0)) {
+        throw Error(`Number of standard deviations, ${k}, must be greater than 0`, { cause: 'Validation' });
+    }
+
+    return {
+        metric,
+        stat,
+        window: parseWindow(window),
+        method: parseMethod(method),
+        outputList: parseOutputs(outputs),
+        k,
+        resampling: parseResampling(fill),
+    };
+};
+
+// A window given as a duration covers the datapoints within that duration, so it depends on the Period
+const getWindowSize = (window, Period) => window.datapoints || Math.ceil(window.seconds / Period);
+
+const getAlpha = (method, windowSize, Period) => {
+    if (method.alpha !== undefined) {
+        return method.alpha;
+    }
+    if (method.halfLife !== undefined) {
+        return 1 - 0.5 ** (Period / method.halfLife);
+    }
+    return 2 / (windowSize + 1);
+};
 
-    return { metric, stat, numberOfDatapoints };
+// The number of periods before StartTime to load, so the first datapoints are calculated from as much history as
+// the later ones
+const getLookBackPeriods = (method, windowSize, alpha) => {
+    if (method.name !== 'ema' || alpha === 1) {
+        return windowSize - 1;
+    }
+    const emaPeriods = Math.ceil(Math.log(EMA_NEGLIGIBLE_WEIGHT) / Math.log(1 - alpha));
+    return Math.min(Math.max(windowSize - 1, emaPeriods), MAX_LOOK_BACK_PERIODS);
 };
 
-const metricDataToMovingAverage = (metricData, revisedStartTime, StartTime, EndTime, Period) => {
+const metricDataToMovingWindow = (metricData, revisedStartTime, StartTime, EndTime, Period, window, outputList, k) => {
+    const { method, windowSize, alpha } = window;
     // Build map of timestamp -> value
     const timestampMap = {};
     metricData.Timestamps.forEach((ts, index) => {
-        timestampMap[ts.getTime() / 1000] = metricData.Values[index];
+        timestampMap[ts] = metricData.Values[index];
     });
 
-    const averagedMetricData = {
-        Timestamps: [],
-        Values: [],
-        Label: metricData.Label,
-        Status: 'Complete',
-    };
+    const windowedMetricData = outputList.map((output) => {
+        return {
+            Timestamps: [],
+            Values: [],
+            Label: `${metricData.Label}${OUTPUT_SERIES[output].suffix}`,
+            StatusCode: metricData.StatusCode,
+            Messages: metricData.Messages,
+        };
+    });
 
-    // Let's get first averaged datapoint, and use that along the time-series to calculate the rest
-    const windowOfValues = [];
-    let currentSampleCount = 0;
-    let sampleTotal = 0;
+    // Values of every period so far, undefined where data is missing, of which the window is the trailing windowSize.
+    // Missing data is ignored, and a datapoint is returned wherever the window has at least one value.
+    const periodValues = [];
+    const totals = { count: 0, sum: 0, sumOfSquares: 0, weightedSum: 0, totalWeight: 0 };
+    let ema;
     for (let time = revisedStartTime; time < EndTime; time += Period) {
         const value = timestampMap[time];
-        windowOfValues.push(value);
-        if (value !== undefined) {
-            currentSampleCount++;
-            sampleTotal += value;
-        }
-        if (time > StartTime) {
-            const firstWindowValue = windowOfValues.shift();
-            if (firstWindowValue !== undefined) {
-                currentSampleCount--;
-                sampleTotal -= firstWindowValue;
+        const first = Math.max(0, periodValues.push(value) - windowSize);
+        // Once the window is full, the values in it move one place back as it moves, lowering their weights by one,
+        // and the oldest value drops out
+        if (first > 0) {
+            const removed = periodValues[first - 1];
+            totals.weightedSum -= totals.sum;
+            totals.totalWeight -= totals.count;
+            if (removed !== undefined) {
+                totals.count--;
+                totals.sum -= removed;
+                totals.sumOfSquares -= removed * removed;
             }
         }
-        if (time >= StartTime) {
-            if (currentSampleCount > 0) {
-                // We have a valid average
-                averagedMetricData.Timestamps.push(time);
-                averagedMetricData.Values.push(sampleTotal / currentSampleCount);
+        if (value !== undefined) {
+            const weight = periodValues.length - first;
+            totals.count++;
+            totals.sum += value;
+            totals.sumOfSquares += value * value;
+            totals.weightedSum += weight * value;
+            totals.totalWeight += weight;
+            ema = ema === undefined ? value : alpha * value + (1 - alpha) * ema;
+        }
+        if (time >= StartTime && totals.count > 0) {
+            let movingValue = ema;
+            if (RUNNING_FUNCTIONS[method.name]) {
+                movingValue = RUNNING_FUNCTIONS[method.name](totals);
+            } else if (WINDOW_FUNCTIONS[method.name]) {
+                const windowValues = periodValues.slice(first).filter((windowValue) => windowValue !== undefined);
+                movingValue = WINDOW_FUNCTIONS[method.name](windowValues);
             }
+            const deviation = k * getStandardDeviation(totals);
+            outputList.forEach((output, index) => {
+                const outputValue = OUTPUT_SERIES[output].getValue({ value, movingValue, deviation });
+                if (outputValue !== undefined) {
+                    windowedMetricData[index].Timestamps.push(time);
+                    windowedMetricData[index].Values.push(outputValue);
+                }
+            });
         }
     }
 
-    return averagedMetricData;
+    return windowedMetricData;
 };
 
-const getMetricDataEventHandler = async (event) => {
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const { metric, stat, numberOfDatapoints } = validateGetMetricDataRequest(Arguments);
-
-    // Go back "n - 1" periods of time, to retrieve enough data to calculate moving average for all data in StartTime -> EndTime
-    const revisedStartTime = StartTime - (numberOfDatapoints - 1) * Period;
+const getMetricData = async (
+    { StartTime, EndTime, Period, region },
+    { metric, stat, window, method, outputList, k, resampling }
+) => {
+    const windowSize = getWindowSize(window, Period);
+    const alpha = getAlpha(method, windowSize, Period);
+    // Go back far enough to retrieve enough data to calculate all data in StartTime -> EndTime
+    const revisedStartTime = StartTime - getLookBackPeriods(method, windowSize, alpha) * Period;
     const getMetricDataParams = {
         MetricDataQueries: [
             {
@@ -135,48 +307,47 @@ const getMetricDataEventHandler = async (event) => {
                     Period,
                 },
             },
-            {
-                Id: 'timer',
-                Expression: 'TIME_SERIES(10)',
-                Period,
-            },
         ],
-        StartTime: new Date(revisedStartTime * 1000),
-        EndTime: new Date(EndTime * 1000),
+        StartTime: toDate(revisedStartTime),
+        EndTime: toDate(EndTime),
     };
-    const { region } = event;
-    const cloudwatch = new cw.CloudWatch({ region });
-    const getMetricDataResult = await cloudwatch.getMetricData(getMetricDataParams);
-    const firstMetric = getMetricDataResult.MetricDataResults[0];
-    const secondMetric = getMetricDataResult.MetricDataResults[1];
-    const metricData = firstMetric.Id === 'm1' ? firstMetric : secondMetric;
-    const timerData = secondMetric.Id === 'timer' ? secondMetric : firstMetric;
-    const earliestTimestamp = timerData.Timestamps.reduce((acc, val) => (acc < val ? acc : val));
-    const averagedMetricData = metricDataToMovingAverage(
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResult = await getAllMetricData(cloudwatch, getMetricDataParams);
+    // Realigns the datapoints onto the grid the window moves along, whatever timestamps CloudWatch returns them at
+    const metricData = resampleSeries(
+        getMetricDataResult.MetricDataResults[0],
+        { StartTime: revisedStartTime, EndTime, Period },
+        { aggregation: resampling.aggregation }
+    );
+    const windowedMetricData = metricDataToMovingWindow(
         metricData,
-        earliestTimestamp ? earliestTimestamp.getTime() / 1000 : revisedStartTime,
+        revisedStartTime,
         StartTime,
         EndTime,
         Period,
-        numberOfDatapoints
+        { method, windowSize, alpha },
+        outputList,
+        k
     );
 
-    return { MetricDataResults: [averagedMetricData] };
+    return {
+        MetricDataResults: windowedMetricData.map((series) =>
+            resampleSeries(series, { StartTime, EndTime, Period }, resampling)
+        ),
+    };
 };
 
-exports.handler = async (event) => {
-    try {
-        switch (event.EventType) {
-            case 'GetMetricData':
-                return await getMetricDataEventHandler(event);
-            case 'DescribeGetMetricData':
-                return describeGetMetricDataEventHandler(event);
-            default:
-                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
-        }
-    } catch (err) {
-        const message = err.message || err;
-        const code = err.cause || 'InternalError';
-        return { Error: { Code: code, Value: message } };
-    }
-};
+exports.handler = createHandler({
+    arguments: [
+        { type: 'string', example: 'AWS/Lambda,Duration' },
+        { type: 'string', example: 'Average' },
+        { example: 10 },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'number', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
@@ -1,146 +1,386 @@
-const cw = require('@aws-sdk/client-cloudwatch');
-
-const describeGetMetricDataEventHandler = () => {
-    const FIRST_EXAMPLE_DEFAULT_ARGS_LIST = [
-        'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None',
-        'Sum',
-        'us-east-1, eu-west-1',
-    ];
-    const FIRST_EXAMPLE_DEFAULT_ARGS_STRING = FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) =>
-        typeof arg === 'string' ? `'${arg}'` : arg
-    ).join(', ');
-    const DESCRIPTION = `
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData } = require('../common/cloudwatch');
+const { parseFullMetric, isExpression } = require('../common/metric');
+const { toDate, toEpochSeconds } = require('../common/time');
+const { DEFAULT_ROLE_NAME } = require('../common/sts');
+const { parseResampling, resampleSeries } = require('../common/resample');
+
+const description = ({ functionName, exampleArguments }) => `
 ## Sample Cloudwatch multi-region data source connector
 
-Loads a CloudWatch metric from one or more regions. This enables:
-* Alarming on a metric in a different region
-* Alarming on combination of metrics from multiple regions
+Loads a CloudWatch metric from one or more regions, optionally in other accounts. This enables:
+* Alarming on a metric in a different region or account
+* Alarming on combination of metrics from multiple regions and accounts
 
 ### Query arguments
 
 \\# | Type | Description
 ---|---|---
-1 | String | The full name of the metric, in format <Namespace>, <MetricName>, <Dim Name 1>, <Dim Value 1>,... etc. URL encode the strings between commas.
-2 | String | The [CloudWatch statistic](https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/Statistics-definitions.html) to retrieve for the metric
-3 | String | Comma-separated lists of regions to load metric from, e.g. \`us-east-1, eu-west-1\`
+1 | String | The full name of the metric, in format <Namespace>, <MetricName>, <Dim Name 1>, <Dim Value 1>,... etc. URL encode the strings between commas. Or a metric math expression, e.g. \`SEARCH('{AWS/ApplicationELB,LoadBalancer} HTTPCode_ELB_5XX_Count', 'Sum')\`, which is evaluated in each target, with each resulting series labelled \`<target> <label>\`
+2 | String | The [CloudWatch statistic](https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/Statistics-definitions.html) to retrieve for the metric, ignored for expressions
+3 | String | Comma-separated list of targets to load metric from. A target is a region, e.g. \`us-east-1\`, an account and region, e.g. \`111122223333:us-east-1\`, or the name of a target group. \`ALL\` and wildcards such as \`us-*\` expand to the matching regions
+4 | String | (optional) \`partial\` (default) returns the targets that loaded, with each failed target as a series without data, with status \`InternalError\`, or \`PartialData\` if it timed out. \`fail\` fails the whole request if any target fails, e.g. for alarms
+5 | String | (optional) Comma-separated list of outputs: \`series\` (default) one series per target, \`sum\`, \`average\`, \`min\` or \`max\` of all targets, \`share\` the percentage of the total from each series. E.g. \`sum, series\` returns the total alongside the series it is made of
+6 | String | (optional) Gap filling of the series of each target, before they are aggregated: \`null\` leaves gaps as missing data, \`zero\` fills them with 0, \`last\` with the last value before them and \`linear\` interpolates between the datapoints either side. Only gaps between two datapoints are filled with \`last\` and \`linear\`. Datapoints are realigned to the period of the graph first, combined with the aggregation given as \`<fill>:<aggregation>\`, e.g. \`zero:sum\`, one of \`average\` (default), \`sum\`, \`min\`, \`max\`, \`first\` or \`last\`. By default series are returned as each target returns them
+
+To read from another account, the connector assumes the role \`${DEFAULT_ROLE_NAME}\` in that account, which needs to trust this function's role and allow \`cloudwatch:GetMetricData\`. The role name can be changed with the \`CROSS_ACCOUNT_ROLE_NAME\` environment variable, or set per account with \`CROSS_ACCOUNT_ROLE_ARNS\`, e.g. \`{"111122223333": "arn:aws:iam::111122223333:role/Monitoring"}\`. Series from other accounts are labelled with account and region, e.g. \`111122223333 us-east-1\`.
+
+Target groups are defined with the \`TARGET_GROUPS\` environment variable, e.g. \`{"prod": ["111122223333:us-east-1", "444455556666:eu-west-1"]}\`.
+
+Region wildcards are expanded from the \`REGIONS\` environment variable, a comma-separated list of regions, which defaults to the regions enabled by default in every account: ${DEFAULT_REGIONS.join(
+    ', '
+)}.
+
+Aggregates are calculated at each timestamp from the targets that have data for it, so a gap in one target doesn't count as zero, unless it is filled with \`zero\`. When a target fails or has incomplete data, aggregates have status \`PartialData\`.
+
+At most ${DEFAULT_MAX_SERIES} series are returned, which can be changed with the \`MAX_MULTI_REGION_SERIES\` environment variable.
+
+Each target is given ${DEFAULT_REGION_TIMEOUT_SECONDS} seconds to respond, which can be changed with the \`REGION_TIMEOUT_SECONDS\` environment variable.
 
 ### Example Expression
 
 Display the number of calls to CloudWatch GetMetricData in us-east-1 and eu-west-1.
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', ${FIRST_EXAMPLE_DEFAULT_ARGS_STRING})
+LAMBDA('${functionName}', ${exampleArguments})
 \`\`\`
 
 Sum the total calls to CloudWatch GetMetricData in us-east-1 and eu-west-1, ready for alarming on:
 
 \`\`\`
-SUM(LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'us-east-1, eu-west-1'))
+LAMBDA('${functionName}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'us-east-1, eu-west-1', 'fail', 'sum')
+\`\`\`
+
+Display the average EC2 CPU usage across US regions, along with the CPU usage of each region.
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/EC2, CPUUtilization', 'Average', 'us-*', 'partial', 'average, series')
 \`\`\`
 
-Display the average EC2 CPU usage across US regions.
+Display the 5XX errors of all load balancers in US and EU regions:
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', 'AWS/EC2, CPUUtilization', 'Average', 'us-east-1, us-east-2, us-west-1, us-west-2')
+LAMBDA('${functionName}', "SEARCH('{AWS/ApplicationELB,LoadBalancer} HTTPCode_ELB_5XX_Count', 'Sum')", '', 'us-*, eu-*')
+\`\`\`
+
+Display the number of Lambda errors in two accounts:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Errors', 'Sum', '111122223333:us-east-1, 444455556666:us-east-1')
+\`\`\`
+
+Sum Lambda errors across US regions, counting periods without errors in a region as 0:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Errors', 'Sum', 'us-*', 'partial', 'sum', 'zero')
 \`\`\`
     `;
 
-    return {
-        DataSourceConnectorName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        ArgumentDefaults: FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) => {
-            return { Value: arg };
-        }),
-        Description: DESCRIPTION,
-    };
+const DEFAULT_REGION_TIMEOUT_SECONDS = 10;
+const DEFAULT_MAX_SERIES = 100;
+const FAILURE_MODES = new Set(['partial', 'fail']);
+
+const REGION_PATTERN = /^[a-z]{2}(?:-[a-z]+)+-\d+$/;
+const REGION_WILDCARD_PATTERN = /^(?:ALL|[a-z0-9-]*\*[a-z0-9*-]*)$/;
+const TARGET_PATTERN = /^(?:(\d{12}):)?(\S+)$/;
+// Regions that are enabled by default in every account, used to expand wildcards unless REGIONS is set
+const DEFAULT_REGIONS = [
+    'us-east-1',
+    'us-east-2',
+    'us-west-1',
+    'us-west-2',
+    'ca-central-1',
+    'sa-east-1',
+    'eu-west-1',
+    'eu-west-2',
+    'eu-west-3',
+    'eu-central-1',
+    'eu-north-1',
+    'ap-south-1',
+    'ap-northeast-1',
+    'ap-northeast-2',
+    'ap-northeast-3',
+    'ap-southeast-1',
+    'ap-southeast-2',
+];
+
+const AGGREGATIONS = {
+    sum: { label: 'Sum', aggregate: (values) => values.reduce((total, value) => total + value, 0) },
+    average: {
+        label: 'Average',
+        aggregate: (values) => values.reduce((total, value) => total + value, 0) / values.length,
+    },
+    min: { label: 'Minimum', aggregate: (values) => Math.min(...values) },
+    max: { label: 'Maximum', aggregate: (values) => Math.max(...values) },
+};
+const OUTPUTS = new Set(['series', ...Object.keys(AGGREGATIONS), 'share']);
+
+const splitList = (list) =>
+    list
+        .split(',')
+        .map((item) => item.trim())
+        .filter((item) => item);
+
+const getTargetGroups = () => {
+    if (!process.env.TARGET_GROUPS) {
+        return {};
+    }
+    try {
+        return JSON.parse(process.env.TARGET_GROUPS);
+    } catch (err) {
+        throw Error(`TARGET_GROUPS is not valid JSON: ${err.message}`, { cause: 'InternalError' });
+    }
+};
+
+const getRegions = () => (process.env.REGIONS ? splitList(process.env.REGIONS) : DEFAULT_REGIONS);
+
+// ALL is every region, and * matches any part of a region name, e.g. us-* or eu-*-1
+const expandRegion = (regionPattern) => {
+    if (regionPattern === 'ALL') {
+        return getRegions();
+    }
+    const pattern = new RegExp(`^${regionPattern.replace(/\*/g, '.*')}$`);
+    const regions = getRegions().filter((region) => pattern.test(region));
+    if (regions.length === 0) {
+        throw Error(`No regions match '${regionPattern}', regions are ${getRegions().join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    return regions;
 };
 
-const parseFullMetric = (fullMetricString) => {
-    const metricFields = fullMetricString.split(',').map((field) => field.trim());
-    if (metricFields.length < 2 || metricFields.length % 2 !== 0) {
+const parseTarget = (target) => {
+    const match = TARGET_PATTERN.exec(target);
+    if (match === null || !(REGION_PATTERN.test(match[2]) || REGION_WILDCARD_PATTERN.test(match[2]))) {
         throw Error(
-            `Malformed full metric name, expected <Namespace>,<MetricName>,<DimPair Name 1>,<DimPair Value 1>,... etc`,
+            `Unrecognised target '${target}', expected a region, <account>:<region>, a region wildcard or a target group name`,
             { cause: 'Validation' }
         );
     }
-    const Namespace = decodeURIComponent(metricFields[0]);
-    const MetricName = decodeURIComponent(metricFields[1]);
-    const Dimensions = [];
-    for (let dimIndex = 2; dimIndex < metricFields.length - 1; dimIndex += 2) {
-        Dimensions.push({
-            Name: decodeURIComponent(metricFields[dimIndex]),
-            Value: decodeURIComponent(metricFields[dimIndex + 1]),
+    const [, account, regionPattern] = match;
+    const regions = REGION_PATTERN.test(regionPattern) ? [regionPattern] : expandRegion(regionPattern);
+    return regions.map((region) => ({ account, region, label: account ? `${account} ${region}` : region }));
+};
+
+// Expands target group names and region wildcards, dropping targets listed more than once
+const parseTargets = (targets) => {
+    const targetGroups = getTargetGroups();
+    const targetList = splitList(targets).flatMap((target) => {
+        const group = targetGroups[target];
+        if (group === undefined) {
+            return parseTarget(target);
+        }
+        return (Array.isArray(group) ? group : splitList(group)).flatMap(parseTarget);
+    });
+    return targetList.filter((target, index) => targetList.findIndex(({ label }) => label === target.label) === index);
+};
+
+const parseArguments = ([metricOrExpression, stat, targets, failureMode = 'partial', outputs = 'series', fill]) => {
+    const targetList = parseTargets(targets);
+    if (targetList.length < 1) {
+        throw Error(`Expected at least one target`, { cause: 'Validation' });
+    }
+    if (!FAILURE_MODES.has(failureMode)) {
+        throw Error(`Unrecognised failure mode '${failureMode}', expected one of ${[...FAILURE_MODES].join(', ')}`, {
+            cause: 'Validation',
         });
     }
-    return { Namespace, MetricName, Dimensions };
-};
 
-const validateGetMetricDataRequest = (Arguments) => {
-    if (Arguments.length !== 3) {
-        throw Error(`Expected 3 arguments, received ${Arguments.length}`, { cause: 'Validation' });
+    const outputList = splitList(outputs);
+    const unknownOutput = outputList.find((output) => !OUTPUTS.has(output));
+    if (unknownOutput !== undefined || outputList.length === 0) {
+        throw Error(`Unrecognised output '${unknownOutput || outputs}', expected one of ${[...OUTPUTS].join(', ')}`, {
+            cause: 'Validation',
+        });
     }
-    const [fullMetric, stat, regions] = Arguments;
 
-    if (typeof fullMetric !== 'string' || typeof stat !== 'string' || typeof regions !== 'string') {
-        throw Error(`Unexpected argument type, expected (<string>, <string>, <string>)`, { cause: 'Validation' });
+    const resampling = fill === undefined ? null : parseResampling(fill);
+
+    if (isExpression(metricOrExpression)) {
+        return { expression: metricOrExpression.trim(), targetList, failureMode, outputList, resampling };
     }
-    const metric = parseFullMetric(fullMetric);
-    const regionList = regions
-        .split(',')
-        .map((region) => region.trim())
-        .filter((reg) => reg);
-    if (regionList.length < 1) {
-        throw Error(`Expected at least one region`, { cause: 'Validation' });
+    const metric = parseFullMetric(metricOrExpression);
+
+    return { metric, stat, targetList, failureMode, outputList, resampling };
+};
+
+// Runs call(abortSignal), aborting the signal when it times out so its requests stop using the invocation's time and
+// API quota. Errors thrown by call itself reject the returned promise too.
+const withTimeout = (call, timeoutSeconds) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(Error(`Timed out after ${timeoutSeconds} seconds`, { cause: 'PartialData' }));
+            controller.abort();
+        }, timeoutSeconds * 1000);
+    });
+    const promise = Promise.resolve().then(() => call(controller.signal));
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Keeps the number of series returned within MAX_MULTI_REGION_SERIES, marking the response as PartialData when
+// series are dropped
+const limitSeries = (seriesList) => {
+    const maxSeries = parseInt(process.env.MAX_MULTI_REGION_SERIES, 10) || DEFAULT_MAX_SERIES;
+    if (seriesList.length <= maxSeries) {
+        return seriesList;
     }
 
-    return { metric, stat, regionList };
+    const message = {
+        Code: 'PartialData',
+        Value: `Returned ${maxSeries} of ${seriesList.length} series, limited to ${maxSeries} series`,
+    };
+    return seriesList.slice(0, maxSeries).map((series) => {
+        return { ...series, StatusCode: 'PartialData', Messages: [...(series.Messages || []), message] };
+    });
+};
+
+// A target that failed or timed out is returned as a series without data, so the other targets are still shown
+const getFailedTargetResult = ({ label }, err) => {
+    const StatusCode = err.cause === 'PartialData' ? 'PartialData' : 'InternalError';
+    return {
+        StatusCode,
+        Label: label,
+        Timestamps: [],
+        Values: [],
+        Messages: [{ Code: StatusCode, Value: `Failed to load data from ${label}: ${err.message || err}` }],
+    };
+};
+
+// Aligns the series on their timestamps, so a gap in one series doesn't shift the values of the others
+const alignSeries = (seriesList) => {
+    const timestamps = [...new Set(seriesList.flatMap(({ Timestamps }) => Timestamps))].sort((a, b) => a - b);
+    const valueMaps = seriesList.map(
+        ({ Timestamps, Values }) => new Map(Timestamps.map((timestamp, index) => [timestamp, Values[index]]))
+    );
+    return timestamps.map((timestamp) => ({
+        timestamp,
+        values: valueMaps.map((valueMap) => valueMap.get(timestamp)),
+    }));
+};
+
+// An aggregate is only complete if all the series it is made of are
+const getAggregateStatus = (seriesList) => {
+    const incomplete = seriesList.filter(({ StatusCode }) => StatusCode !== 'Complete').map(({ Label }) => Label);
+    if (incomplete.length === 0) {
+        return { StatusCode: 'Complete' };
+    }
+    return {
+        StatusCode: 'PartialData',
+        Messages: [{ Code: 'PartialData', Value: `Missing or incomplete data from ${incomplete.join(', ')}` }],
+    };
 };
 
-const getMetricDataEventHandler = async (event) => {
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const { metric, stat, regionList } = validateGetMetricDataRequest(Arguments);
-    const metricStat = {
-        Metric: metric,
-        Stat: stat,
-        Period,
+// At each timestamp, aggregates the series that have a value, rather than treating gaps as zero
+const getAggregatedResult = (seriesList, aggregation) => {
+    const { label, aggregate } = AGGREGATIONS[aggregation];
+    const aligned = alignSeries(seriesList);
+    return {
+        ...getAggregateStatus(seriesList),
+        Label: label,
+        Timestamps: aligned.map(({ timestamp }) => timestamp),
+        Values: aligned.map(({ values }) => aggregate(values.filter((value) => value !== undefined))),
     };
-    const getMetricDataCalls = regionList.map((region) => {
+};
+
+// The percentage each series contributes to the total of all series, at each timestamp
+const getShareResults = (seriesList) => {
+    const aligned = alignSeries(seriesList).map(({ timestamp, values }) => ({
+        timestamp,
+        values,
+        total: AGGREGATIONS.sum.aggregate(values.filter((value) => value !== undefined)),
+    }));
+    const status = getAggregateStatus(seriesList);
+    return seriesList.map((series, index) => {
+        const shares = aligned.filter(({ values, total }) => values[index] !== undefined && total !== 0);
+        return {
+            ...status,
+            Label: `${series.Label} share`,
+            Timestamps: shares.map(({ timestamp }) => timestamp),
+            Values: shares.map(({ values, total }) => (values[index] / total) * 100),
+            Unit: 'Percent',
+        };
+    });
+};
+
+const getMetricData = async (
+    { StartTime, EndTime, Period },
+    { metric, stat, expression, targetList, failureMode, outputList, resampling }
+) => {
+    const timeoutSeconds = parseFloat(process.env.REGION_TIMEOUT_SECONDS) || DEFAULT_REGION_TIMEOUT_SECONDS;
+    const query = expression
+        ? { Id: 'e1', Expression: expression, Period }
+        : { Id: 'm1', MetricStat: { Metric: metric, Stat: stat, Period } };
+    const getMetricDataCalls = targetList.map(({ account, region }) => {
         const getMetricDataParams = {
-            MetricDataQueries: [{ Id: region.replace(/-/g, '_'), MetricStat: metricStat }],
-            StartTime: new Date(StartTime * 1000),
-            EndTime: new Date(EndTime * 1000),
+            MetricDataQueries: [query],
+            StartTime: toDate(StartTime),
+            EndTime: toDate(EndTime),
         };
-        const cloudwatch = new cw.CloudWatch({ region });
-        return cloudwatch.getMetricData(getMetricDataParams);
+        // Client creation can fail too, e.g. for an unknown region, so keep it inside the call withTimeout isolates
+        return withTimeout(
+            (abortSignal) =>
+                getAllMetricData(getCloudWatchClient(region, account), getMetricDataParams, { abortSignal }),
+            timeoutSeconds
+        );
     });
 
-    const getMetricDataResults = await Promise.all(getMetricDataCalls);
-    const collatedResults = getMetricDataResults.map((getMetricDataResult) => {
-        const metric = getMetricDataResult.MetricDataResults[0];
-        metric.Label = metric.Id.replace(/_/g, '-');
-        metric.Timestamps = metric.Timestamps.map((ts) => {
-            return ts.getTime() / 1000;
+    const getMetricDataResults = await Promise.allSettled(getMetricDataCalls);
+    const failures = getMetricDataResults
+        .map(({ status, reason }, index) =>
+            status === 'rejected' ? `${targetList[index].label}: ${reason.message || reason}` : null
+        )
+        .filter((failure) => failure !== null);
+    if (failureMode === 'fail' && failures.length > 0) {
+        throw Error(`Failed to load data from ${failures.length} target(s), ${failures.join('; ')}`, {
+            cause: 'InternalError',
         });
-        delete metric.Id;
-        metric.StatusCode = 'Complete';
-        return metric;
-    });
+    }
 
-    return { MetricDataResults: collatedResults };
-};
+    // An expression can return any number of series per target, labelled with the target to tell them apart. Failed
+    // targets are left without data, rather than filled.
+    const seriesResults = getMetricDataResults.flatMap((getMetricDataResult, index) => {
+        const { label } = targetList[index];
+        if (getMetricDataResult.status === 'rejected') {
+            return [getFailedTargetResult(targetList[index], getMetricDataResult.reason)];
+        }
+        return getMetricDataResult.value.MetricDataResults.map((result) => {
+            const series = {
+                ...result,
+                Label: expression ? `${label} ${result.Label}` : label,
+                Timestamps: result.Timestamps.map(toEpochSeconds),
+            };
+            return resampling ? resampleSeries(series, { StartTime, EndTime, Period }, resampling) : series;
+        });
+    });
 
-exports.handler = async (event) => {
-    try {
-        switch (event.EventType) {
-            case 'GetMetricData':
-                return await getMetricDataEventHandler(event);
-            case 'DescribeGetMetricData':
-                return describeGetMetricDataEventHandler(event);
-            default:
-                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
+    const MetricDataResults = outputList.flatMap((output) => {
+        if (output === 'series') {
+            return seriesResults;
         }
-    } catch (err) {
-        const message = err.message || err;
-        const code = err.cause || 'InternalError';
-        return { Error: { Code: code, Value: message } };
-    }
+        if (output === 'share') {
+            return getShareResults(seriesResults);
+        }
+        return [getAggregatedResult(seriesResults, output)];
+    });
+
+    return { MetricDataResults: limitSeries(MetricDataResults) };
 };
+
+exports.handler = createHandler({
+    arguments: [
+        {
+            type: 'string',
+            example: 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None',
+        },
+        { type: 'string', example: 'Sum' },
+        { type: 'string', example: 'us-east-1, eu-west-1' },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
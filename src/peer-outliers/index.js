@@ -0,0 +1,178 @@
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData } = require('../common/cloudwatch');
+const { toDate, toEpochSeconds } = require('../common/time');
+
+const description = ({ functionName, exampleArguments }) => `
+## Sample Cloudwatch peer outlier detection data source connector
+
+Finds the metrics that deviate from their peers, such as the one bad EC2 instance behind a load balancer, where a fixed threshold would either miss it or alarm on the whole fleet.
+
+Runs a valid CloudWatch Metric expression, e.g. a [metric search expression](https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/search-expression-syntax.html), and compares each metric to the fleet of all metrics returned.
+
+### Query arguments
+
+\\# | Type | Description
+---|---|---
+1 | String | Expression, e.g. CPU for EC2 instances: \`SEARCH('{AWS/EC2,InstanceId} MetricName=CPUUtilization', 'Average')\`
+2 | String | (optional) Method, \`mad\` (default) compares each metric to the fleet median, scaled by the median absolute deviation. \`zscore\` compares each metric to the fleet mean, scaled by the standard deviation
+3 | Number | (optional) How far from the fleet a metric has to be to be an outlier, in scaled deviations, default ${DEFAULT_THRESHOLDS.mad} for \`mad\` and ${DEFAULT_THRESHOLDS.zscore} for \`zscore\`
+4 | String | (optional) Scope, \`timestamp\` (default) compares the metrics at each timestamp, \`window\` compares the average of each metric over the whole time range
+5 | String | (optional) Output, \`series\` (default) returns the metrics that are outliers at any timestamp, or over the time range. \`count\` returns the number of outliers at each timestamp, ready for alarming
+
+Metrics are compared in both directions, so a metric far below its peers is an outlier too. At least ${MIN_FLEET_SIZE} metrics with data are needed to find outliers. \`mad\` is robust to the outliers themselves, while with \`zscore\` an outlier inflates the standard deviation, so small fleets rarely reach the threshold: with 10 metrics no z-score can exceed 2.85.
+
+### Example Expression
+Display EC2 instances whose CPU deviates from the other instances:
+
+\`\`\`
+LAMBDA('${functionName}', ${exampleArguments})
+\`\`\`
+
+Count instances behind a load balancer that have many more 5XX errors than their peers, ready for alarming on:
+
+\`\`\`
+LAMBDA('${functionName}', 'SEARCH("{AWS/ApplicationELB,LoadBalancer,TargetGroup,AvailabilityZone} HTTPCode_Target_5XX_Count", "Sum")', 'mad', 5, 'timestamp', 'count')
+\`\`\`
+    `;
+
+const METHODS = new Set(['mad', 'zscore']);
+const SCOPES = new Set(['timestamp', 'window']);
+const OUTPUTS = new Set(['series', 'count']);
+const DEFAULT_THRESHOLDS = { mad: 3.5, zscore: 3 };
+const MIN_FLEET_SIZE = 3;
+// Scale factors that make the median and mean absolute deviations consistent with the standard deviation
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+const validateOption = (name, value, validValues) => {
+    if (!validValues.has(value)) {
+        throw Error(`Unrecognised ${name} '${value}', expected one of ${[...validValues].join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+};
+
+const parseArguments = ([expression, method = 'mad', threshold, scope = 'timestamp', output = 'series']) => {
+    validateOption('method', method, METHODS);
+    validateOption('scope', scope, SCOPES);
+    validateOption('output', output, OUTPUTS);
+    if (threshold !== undefined && !(threshold > 0)) {
+        throw Error(`Threshold must be greater than 0, received ${threshold}`, { cause: 'Validation' });
+    }
+
+    return {
+        expression,
+        method,
+        threshold: threshold === undefined ? DEFAULT_THRESHOLDS[method] : threshold,
+        scope,
+        output,
+    };
+};
+
+const getMean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+
+const getMedian = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Returns the centre and scale the values are compared with. When more than half of the fleet has the same value,
+// the median absolute deviation is 0, so the mean absolute deviation is used instead.
+const getFleetStats = (values, method) => {
+    if (method === 'zscore') {
+        const mean = getMean(values);
+        return { centre: mean, scale: Math.sqrt(getMean(values.map((value) => (value - mean) ** 2))) };
+    }
+    const median = getMedian(values);
+    const deviations = values.map((value) => Math.abs(value - median));
+    const mad = getMedian(deviations);
+    return { centre: median, scale: mad > 0 ? MAD_SCALE * mad : MEAN_AD_SCALE * getMean(deviations) };
+};
+
+// Flags which of the values are outliers. A fleet that is too small, or where all values are the same, has none.
+const findOutliers = (values, method, threshold) => {
+    if (values.length < MIN_FLEET_SIZE) {
+        return values.map(() => false);
+    }
+    const { centre, scale } = getFleetStats(values, method);
+    if (scale === 0) {
+        return values.map(() => false);
+    }
+    return values.map((value) => Math.abs(value - centre) / scale > threshold);
+};
+
+// For each series, the timestamps at which it is an outlier
+const getOutlierTimestamps = (metrics, { method, threshold, scope }) => {
+    if (scope === 'window') {
+        const withData = metrics.filter(({ Values }) => Values.length > 0);
+        const averages = withData.map(({ Values }) => getMean(Values));
+        const outliers = findOutliers(averages, method, threshold);
+        return metrics.map((metric) => {
+            const index = withData.indexOf(metric);
+            return index !== -1 && outliers[index] ? new Set(metric.Timestamps) : new Set();
+        });
+    }
+
+    const valueMaps = metrics.map(
+        ({ Timestamps, Values }) => new Map(Timestamps.map((timestamp, index) => [timestamp, Values[index]]))
+    );
+    const timestamps = [...new Set(metrics.flatMap(({ Timestamps }) => Timestamps))];
+    const outlierTimestamps = metrics.map(() => new Set());
+    timestamps.forEach((timestamp) => {
+        const fleet = valueMaps
+            .map((valueMap, index) => ({ index, value: valueMap.get(timestamp) }))
+            .filter(({ value }) => value !== undefined);
+        const fleetValues = fleet.map(({ value }) => value);
+        const outliers = findOutliers(fleetValues, method, threshold);
+        fleet.forEach(({ index }, fleetIndex) => {
+            if (outliers[fleetIndex]) {
+                outlierTimestamps[index].add(timestamp);
+            }
+        });
+    });
+    return outlierTimestamps;
+};
+
+const getCountResult = (metrics, outlierTimestamps) => {
+    const Timestamps = [...new Set(metrics.flatMap(({ Timestamps }) => Timestamps))].sort((a, b) => a - b);
+    const complete = metrics.every(({ StatusCode }) => StatusCode === 'Complete');
+    return {
+        StatusCode: complete ? 'Complete' : 'PartialData',
+        Label: 'Outliers',
+        Timestamps,
+        Values: Timestamps.map((timestamp) => outlierTimestamps.filter((outliers) => outliers.has(timestamp)).length),
+    };
+};
+
+const getMetricData = async ({ StartTime, EndTime, Period, region }, options) => {
+    const getMetricDataParams = {
+        MetricDataQueries: [{ Id: 'e1', Expression: options.expression, Period }],
+        StartTime: toDate(StartTime),
+        EndTime: toDate(EndTime),
+    };
+    const cloudwatch = getCloudWatchClient(region);
+    const getMetricDataResult = await getAllMetricData(cloudwatch, getMetricDataParams);
+    const metrics = getMetricDataResult.MetricDataResults.map((metric) => {
+        return { ...metric, Timestamps: metric.Timestamps.map(toEpochSeconds) };
+    });
+
+    const outlierTimestamps = getOutlierTimestamps(metrics, options);
+    if (options.output === 'count') {
+        return { MetricDataResults: [getCountResult(metrics, outlierTimestamps)] };
+    }
+    return { MetricDataResults: metrics.filter((metric, index) => outlierTimestamps[index].size > 0) };
+};
+
+exports.handler = createHandler({
+    arguments: [
+        { type: 'string', example: 'SEARCH("{AWS/EC2,InstanceId} MetricName=CPUUtilization", "Average")' },
+        { type: 'string', optional: true },
+        { type: 'number', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});
@@ -1,16 +1,11 @@
-const cw = require('@aws-sdk/client-cloudwatch');
-
-const describeGetMetricDataEventHandler = () => {
-    const FIRST_EXAMPLE_DEFAULT_ARGS_LIST = [
-        'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None',
-        'Sum',
-        'P1D',
-        7,
-    ];
-    const FIRST_EXAMPLE_DEFAULT_ARGS_STRING = FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) =>
-        typeof arg === 'string' ? `'${arg}'` : arg
-    ).join(', ');
-    const DESCRIPTION = `
+const { createHandler } = require('../common/connector');
+const { getCloudWatchClient, getAllMetricData, getRetainedPeriod } = require('../common/cloudwatch');
+const { parseFullMetric, isExpression } = require('../common/metric');
+const { toDate, toEpochSeconds } = require('../common/time');
+const { parseISO8601Duration, subtractDuration } = require('../common/duration');
+const { parseResampling, resampleSeries } = require('../common/resample');
+
+const description = ({ functionName, exampleArguments }) => `
 ## Sample Cloudwatch Metric Timeshift data source connector
 
 "Time shifts" a CloudWatch Metric, to show how a metric behaves now compared to periodic times in the past. 
@@ -20,70 +15,66 @@ It also enables alarming on data from up to 15 months ago.
 
 \\# | Type | Description
 ---|---|---
-1 | String | The full name of the metric, in format <Namespace>, <MetricName>, <Dim Name 1>, <Dim Value 1>,... etc. URL encode the strings between commas
-2 | String | The statistic to retrieve for the metric
-3 | String | The shift interval, in ISO 8601 duration format, e.g. P7D for 1 week, PT3H for 3 hours
+1 | String | The full name of the metric, in format <Namespace>, <MetricName>, <Dim Name 1>, <Dim Value 1>,... etc. URL encode the strings between commas. Or a metric math expression, e.g. \`SUM(SEARCH('{AWS/ApplicationELB,LoadBalancer} HTTPCode_ELB_5XX_Count', 'Sum'))\`, where each resulting series is shifted and labelled \`<label> - 7d\`
+2 | String | The statistic to retrieve for the metric, ignored for expressions
+3 | String | The shift interval, in ISO 8601 duration format, e.g. P7D for 1 week, PT3H for 3 hours, P1M for 1 calendar month, P1Y for 1 year
 4 | Number | The number of shifts to perform, between 1 and 10
+5 | String | (optional) Alignment of shifted data, \`none\` (default) or \`weekday\` to move each shifted day to the nearest same weekday, e.g. to compare Monday to Monday year over year
+6 | String | (optional) Output, \`shifts\` (default) returns current and each shifted series. \`baseline\` returns current plus the mean, median, min, max and upper/lower band (mean ± ${BAND_STANDARD_DEVIATIONS} standard deviations) of the shifted series at each timestamp. \`mean\`, \`median\`, \`min\`, \`max\`, \`upper\`, \`lower\`, \`delta\` (current - baseline mean) or \`percentChange\` (change of current versus baseline mean, in percent) return that single series, ready for alarming
+7 | String | (optional) Gap filling of the returned series, \`null\` leaves gaps as missing data, \`zero\` fills them with 0, \`last\` with the last value before them and \`linear\` interpolates between the datapoints either side. Only gaps between two datapoints are filled with \`last\` and \`linear\`. Datapoints are realigned to the period of the graph first, combined with the aggregation given as \`<fill>:<aggregation>\`, e.g. \`zero:sum\`, one of \`average\` (default), \`sum\`, \`min\`, \`max\`, \`first\` or \`last\`. By default series are returned as they are
 
 ### Example Expression
 Plot number of calls to CloudWatch GetMetricData, day over day for past 8 days (current, plus 7 timeshifts of 1 day)
 
 \`\`\`
-LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', ${FIRST_EXAMPLE_DEFAULT_ARGS_STRING})
+LAMBDA('${functionName}', ${exampleArguments})
 \`\`\`
 
 Compare number of calls to CloudWatch GetMetricData today versus a week ago, as percent of how it has changed - which can be alarmed on. This is done with 4 expressions on the graph, listed below with their metric ids. The final "metric", **percentChange**, calculates the percentage change - alarm on this, and set the other "metrics" to invisible.
 
 \`\`\`
-timeshift = LAMBDA('${process.env.AWS_LAMBDA_FUNCTION_NAME}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'P7D', 1)
+timeshift = LAMBDA('${functionName}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'P7D', 1)
 current = FIRST(timeshift)
 previous = LAST(timeshift)
 percentChange = IF(previous != 0, current / previous * 100)
 \`\`\`
-    `;
 
-    return {
-        DataSourceConnectorName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        ArgumentDefaults: FIRST_EXAMPLE_DEFAULT_ARGS_LIST.map((arg) => {
-            return { Value: arg };
-        }),
-        Description: DESCRIPTION,
-    };
-};
+Compare this week to the same weekdays one year ago:
 
-const parseISO8601DurationString = (durationString) => {
-    const stringPattern = /^P(?:(\d+)D)?[T]*(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d{1,3})?)S)?$/;
-    const stringParts = stringPattern.exec(durationString);
-    if (stringParts === null) {
-        throw Error(`Unrecognized ISO duration ${durationString}`, { cause: 'Validation' });
-    }
-    const days = stringParts[1] === undefined ? 0 : parseInt(stringParts[1], 10);
-    const hours = stringParts[2] === undefined ? 0 : parseInt(stringParts[2], 10);
-    const mins = stringParts[3] === undefined ? 0 : parseInt(stringParts[3], 10);
-    const secs = stringParts[4] === undefined ? 0 : parseInt(stringParts[4], 10);
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'P1Y', 1, 'weekday')
+\`\`\`
 
-    return ((days * 24 + hours) * 60 + mins) * 60 + secs;
-};
+Total 5XX errors across all load balancers, week over week:
 
-const parseFullMetric = (fullMetricString) => {
-    const metricFields = fullMetricString.split(',').map((field) => field.trim());
-    if (metricFields.length < 2 || metricFields.length % 2 !== 0) {
-        throw Error(
-            `Malformed full metric name, expected <Namespace>,<MetricName>,<DimPair Name 1>,<DimPair Value 1>,... etc`,
-            { cause: 'Validation' }
-        );
-    }
-    const Namespace = decodeURIComponent(metricFields[0]);
-    const MetricName = decodeURIComponent(metricFields[1]);
-    const Dimensions = [];
-    for (let dimIndex = 2; dimIndex < metricFields.length - 1; dimIndex += 2) {
-        Dimensions.push({
-            Name: decodeURIComponent(metricFields[dimIndex]),
-            Value: decodeURIComponent(metricFields[dimIndex + 1]),
-        });
-    }
-    return { Namespace, MetricName, Dimensions };
-};
+\`\`\`
+LAMBDA('${functionName}', "SUM(SEARCH('{AWS/ApplicationELB,LoadBalancer} HTTPCode_ELB_5XX_Count', 'Sum'))", '', 'P7D', 1)
+\`\`\`
+
+At most ${DEFAULT_MAX_SERIES} series x shifts are returned, which can be changed with the \`MAX_TIMESHIFT_SERIES\` environment variable.
+
+Alarm on percent deviation from the average of the same time in the last 4 weeks:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None', 'Sum', 'P7D', 4, 'none', 'percentChange')
+\`\`\`
+
+Compare Lambda errors to the same time last week, counting periods without errors as 0:
+
+\`\`\`
+LAMBDA('${functionName}', 'AWS/Lambda, Errors', 'Sum', 'P7D', 1, 'none', 'shifts', 'zero')
+\`\`\`
+    `;
+
+const SECONDS_IN_DAY = 24 * 3600;
+const ALIGNMENTS = new Set(['none', 'weekday']);
+const BASELINE_SERIES = ['mean', 'median', 'min', 'max', 'upper', 'lower'];
+const OUTPUTS = new Set(['shifts', 'baseline', ...BASELINE_SERIES, 'delta', 'percentChange']);
+const BAND_STANDARD_DEVIATIONS = 2;
+const MAX_DATAPOINTS_PER_CALL = 100800;
+// Stats that add up over time, so a value over a coarser period is split between the graph's periods it covers
+const ADDITIVE_STATS = new Set(['Sum', 'SampleCount']);
+const DEFAULT_MAX_SERIES = 100;
 
 const convertSecondsToHumanReadable = (seconds) => {
     const d = Math.floor(seconds / (3600 * 24));
@@ -98,24 +89,51 @@ const convertSecondsToHumanReadable = (seconds) => {
     return (dDisplay + hDisplay + mDisplay + sDisplay).trim();
 };
 
-const validateGetMetricDataRequest = (Arguments) => {
-    if (Arguments.length !== 4) {
-        throw Error(`Expected 4 arguments, received ${Arguments.length}`, { cause: 'Validation' });
-    }
-    const [fullMetric, stat, shiftIntervalString, numberOfShifts] = Arguments;
-
-    if (
-        typeof fullMetric !== 'string' ||
-        typeof stat !== 'string' ||
-        typeof shiftIntervalString !== 'string' ||
-        typeof numberOfShifts !== 'number'
-    ) {
-        throw Error(`Unexpected argument type, expected (<string>, <string>, <string>, <number>)`, {
-            cause: 'Validation',
-        });
+const convertShiftToHumanReadable = ({ months, seconds }, shiftNumber) => {
+    const y = Math.floor((months * shiftNumber) / 12);
+    const mo = (months * shiftNumber) % 12;
+
+    const yDisplay = y > 0 ? `${y}y ` : '';
+    const moDisplay = mo > 0 ? `${mo}mo ` : '';
+    return (yDisplay + moDisplay + convertSecondsToHumanReadable(seconds * shiftNumber)).trim();
+};
+
+// Moves a shifted timestamp to the nearest day with the same weekday as the original timestamp, so that e.g. a
+// shift of P1Y compares Monday to Monday. This is at most 3 days away from the calendar shifted timestamp.
+const alignToWeekday = (shiftedTimestamp, time) => {
+    const shiftedWeekday = new Date(shiftedTimestamp * 1000).getUTCDay();
+    const weekday = new Date(time * 1000).getUTCDay();
+    const dayDifference = (shiftedWeekday - weekday + 7) % 7;
+    return dayDifference <= 3
+        ? shiftedTimestamp - dayDifference * SECONDS_IN_DAY
+        : shiftedTimestamp + (7 - dayDifference) * SECONDS_IN_DAY;
+};
+
+const getShiftLabel = (seriesLabel, shiftInterval, shiftNumber) => {
+    if (seriesLabel === null) {
+        return shiftNumber === 0 ? 'current' : `- ${convertShiftToHumanReadable(shiftInterval, shiftNumber)}`;
     }
-    const shiftInterval = parseISO8601DurationString(shiftIntervalString);
-    if (shiftInterval <= 0) {
+    return shiftNumber === 0
+        ? seriesLabel
+        : `${seriesLabel} - ${convertShiftToHumanReadable(shiftInterval, shiftNumber)}`;
+};
+
+const getShiftedTimestamp = (time, shiftInterval, shiftNumber, alignment) => {
+    const shiftedTimestamp = subtractDuration(time, shiftInterval, shiftNumber);
+    return alignment === 'weekday' ? alignToWeekday(shiftedTimestamp, time) : shiftedTimestamp;
+};
+
+const parseArguments = ([
+    metricOrExpression,
+    stat,
+    shiftIntervalString,
+    numberOfShifts,
+    alignment = 'none',
+    output = 'shifts',
+    fill,
+]) => {
+    const shiftInterval = parseISO8601Duration(shiftIntervalString);
+    if (shiftInterval.months <= 0 && shiftInterval.seconds <= 0) {
         throw Error(`Illegal shift interval '${shiftIntervalString}' specified, must be > 0 seconds`, {
             cause: 'Validation',
         });
@@ -125,87 +143,317 @@ const validateGetMetricDataRequest = (Arguments) => {
             cause: 'Validation',
         });
     }
+    if (!ALIGNMENTS.has(alignment)) {
+        throw Error(`Unrecognised alignment '${alignment}', expected one of ${[...ALIGNMENTS].join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+    if (!OUTPUTS.has(output)) {
+        throw Error(`Unrecognised output '${output}', expected one of ${[...OUTPUTS].join(', ')}`, {
+            cause: 'Validation',
+        });
+    }
+
+    const resampling = fill === undefined ? null : parseResampling(fill);
 
-    const metric = parseFullMetric(fullMetric);
+    if (isExpression(metricOrExpression)) {
+        return { expression: metricOrExpression.trim(), shiftInterval, numberOfShifts, alignment, output, resampling };
+    }
 
-    return { metric, stat, shiftInterval, numberOfShifts };
+    const metric = parseFullMetric(metricOrExpression);
+
+    return { metric, stat, shiftInterval, numberOfShifts, alignment, output, resampling };
 };
 
-const shiftFullMetricData = (metricStat, fullMetricData, StartTime, EndTime, Period, shiftInterval, numberOfShifts) => {
-    const fullMetricDataMap = {};
-    fullMetricData.Timestamps.forEach((ts, index) => {
-        fullMetricDataMap[ts.toISOString()] = fullMetricData.Values[index];
+// Works out the time window each shift needs data for, at the period CloudWatch still has for data of that age
+const getShiftWindows = (StartTime, EndTime, Period, shiftInterval, numberOfShifts, alignment) => {
+    const windows = [];
+    for (let i = 0; i <= numberOfShifts; i++) {
+        let start = Infinity;
+        let end = -Infinity;
+        for (let time = StartTime; time < EndTime; time += Period) {
+            const shiftedTimestamp = i === 0 ? time : getShiftedTimestamp(time, shiftInterval, i, alignment);
+            start = Math.min(start, shiftedTimestamp);
+            end = Math.max(end, shiftedTimestamp + Period);
+        }
+        const period = getRetainedPeriod(start, Period);
+        windows.push({ shiftNumber: i, start: start - (start % period), end, period });
+    }
+    return windows;
+};
+
+// GetMetricData applies a single StartTime and EndTime to all queries in a call, so shift windows that overlap or are
+// close together are fetched with one call, and windows far apart with separate calls
+const groupShiftWindows = (windows) => {
+    const groups = [];
+    [...windows]
+        .sort((a, b) => a.start - b.start)
+        .forEach((window) => {
+            const group = groups[groups.length - 1];
+            const canJoinGroup =
+                group !== undefined &&
+                group.period === window.period &&
+                window.start - group.end <= window.end - window.start &&
+                (Math.max(group.end, window.end) - group.start) / group.period <= MAX_DATAPOINTS_PER_CALL;
+            if (canJoinGroup) {
+                group.end = Math.max(group.end, window.end);
+                group.windows.push(window);
+            } else {
+                groups.push({ start: window.start, end: window.end, period: window.period, windows: [window] });
+            }
+        });
+    return groups;
+};
+
+// Returns the series fetched for each shift, indexed by shift number, with Timestamps in epoch seconds in ascending order
+const getShiftData = async (cloudwatch, getQuery, windows) => {
+    const groups = groupShiftWindows(windows);
+    const groupData = await Promise.all(
+        groups.map(async (group) => {
+            const gmdParams = {
+                MetricDataQueries: [getQuery(group.period)],
+                StartTime: toDate(group.start),
+                EndTime: toDate(group.end),
+            };
+            const gmdResponse = await getAllMetricData(cloudwatch, gmdParams);
+            return gmdResponse.MetricDataResults.map((metricData) => {
+                const datapoints = metricData.Timestamps.map((ts, index) => [
+                    toEpochSeconds(ts),
+                    metricData.Values[index],
+                ]);
+                datapoints.sort((a, b) => a[0] - b[0]);
+                return {
+                    StatusCode: metricData.StatusCode,
+                    Messages: metricData.Messages,
+                    Label: metricData.Label,
+                    Timestamps: datapoints.map(([ts]) => ts),
+                    Values: datapoints.map(([, value]) => value),
+                    period: group.period,
+                };
+            });
+        })
+    );
+
+    const shiftData = [];
+    groups.forEach((group, index) => {
+        group.windows.forEach((window) => {
+            shiftData[window.shiftNumber] = groupData[index];
+        });
     });
-    const metrics = [];
+    return shiftData;
+};
 
-    for (let i = 0; i <= numberOfShifts; i++) {
-        const timeOffset = i * shiftInterval;
-        const metric = {
-            Status: 'Complete',
-            Label: i === 0 ? 'current' : `- ${convertSecondsToHumanReadable(timeOffset)}`,
+// Older shifts can be loaded at a coarser period than the graph's, and each of their values is shown across all the
+// graph's periods it covers. Averages, extremes and percentiles carry over as they are, sums are split evenly. What an
+// expression adds up isn't known, so its coarser shifts are marked as PartialData instead.
+const toGraphPeriod = (series, Period, stat) => {
+    if (series.period <= Period || (stat && !ADDITIVE_STATS.has(stat))) {
+        return series;
+    }
+    if (stat) {
+        return { ...series, Values: series.Values.map((value) => (value * Period) / series.period) };
+    }
+    const message = {
+        Code: 'PartialData',
+        Value: `Loaded at the ${series.period}s period CloudWatch keeps for data of this age, each value covers several periods`,
+    };
+    return { ...series, StatusCode: 'PartialData', Messages: [...(series.Messages || []), message] };
+};
+
+// Finds the datapoint covering a timestamp, i.e. the last one at or before it and less than a period away. This
+// tolerates older data being returned at a coarser period, or on period boundaries other than the requested ones.
+const findValueAt = ({ Timestamps, Values, period }, time) => {
+    let low = 0;
+    let high = Timestamps.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (Timestamps[middle] <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found >= 0 && time - Timestamps[found] < period ? Values[found] : undefined;
+};
+
+// Re-aligns the shifted data onto the requested time range. Returns, for each series, the current and shifted series.
+// Series are matched across shifts by label, which is only shown for expressions, as those can return many series.
+const shiftFullMetricData = (
+    shiftData,
+    StartTime,
+    EndTime,
+    Period,
+    shiftInterval,
+    numberOfShifts,
+    alignment,
+    showSeriesLabel
+) => {
+    const seriesLabels = [...new Set(shiftData.flatMap((shiftSeries) => shiftSeries.map((series) => series.Label)))];
+
+    return seriesLabels.map((seriesLabel) => {
+        const metrics = [];
+        for (let i = 0; i <= numberOfShifts; i++) {
+            const shiftSeries = shiftData[i].find((series) => series.Label === seriesLabel);
+            const metric = {
+                StatusCode: shiftSeries ? shiftSeries.StatusCode : 'Complete',
+                Messages: shiftSeries ? shiftSeries.Messages : [],
+                Label: getShiftLabel(showSeriesLabel ? seriesLabel : null, shiftInterval, i),
+                Timestamps: [],
+                Values: [],
+            };
+            for (let time = StartTime; shiftSeries && time < EndTime; time += Period) {
+                const shiftedTimestamp = i === 0 ? time : getShiftedTimestamp(time, shiftInterval, i, alignment);
+                const value = findValueAt(shiftSeries, shiftedTimestamp);
+                if (value !== undefined) {
+                    metric.Timestamps.push(time);
+                    metric.Values.push(value);
+                }
+            }
+            metrics.push(metric);
+        }
+        return { seriesLabel: showSeriesLabel ? seriesLabel : null, metrics };
+    });
+};
+
+// Keeps the number of series x shifts returned within MAX_TIMESHIFT_SERIES, marking the response as PartialData
+// when series are dropped
+const limitShiftedSeries = (shiftedSeries, numberOfShifts) => {
+    const maxSeries = parseInt(process.env.MAX_TIMESHIFT_SERIES, 10) || DEFAULT_MAX_SERIES;
+    const maxSeriesLabels = Math.max(1, Math.floor(maxSeries / (numberOfShifts + 1)));
+    if (shiftedSeries.length <= maxSeriesLabels) {
+        return shiftedSeries;
+    }
+
+    const message = {
+        Code: 'PartialData',
+        Value: `Returned ${maxSeriesLabels} of ${shiftedSeries.length} series, limited to ${maxSeries} series x shifts`,
+    };
+    return shiftedSeries.slice(0, maxSeriesLabels).map(({ seriesLabel, metrics }) => {
+        return {
+            seriesLabel,
+            metrics: metrics.map((metric) => {
+                return { ...metric, StatusCode: 'PartialData', Messages: [...metric.Messages, message] };
+            }),
+        };
+    });
+};
+
+const getBaselineStats = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
+    const variance = values.reduce((acc, val) => acc + (val - mean) ** 2, 0) / values.length;
+    const bandWidth = BAND_STANDARD_DEVIATIONS * Math.sqrt(variance);
+
+    return {
+        mean,
+        median,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        upper: mean + bandWidth,
+        lower: mean - bandWidth,
+    };
+};
+
+// Collapses the shifted series into baseline series, computed per timestamp from the values of all shifts that
+// have data at that timestamp, plus delta and percentChange of current versus the baseline mean
+const shiftedMetricDataToBaseline = ({ seriesLabel, metrics }, output) => {
+    const [current, ...shifts] = metrics;
+    const labelPrefix = seriesLabel === null ? '' : `${seriesLabel} `;
+    const currentMap = new Map(current.Timestamps.map((ts, index) => [ts, current.Values[index]]));
+    const shiftMaps = shifts.map((shift) => new Map(shift.Timestamps.map((ts, index) => [ts, shift.Values[index]])));
+    const timestamps = [...new Set(shifts.flatMap((shift) => shift.Timestamps))].sort((a, b) => a - b);
+
+    const series = {};
+    [...BASELINE_SERIES, 'delta', 'percentChange'].forEach((name) => {
+        series[name] = {
+            StatusCode: current.StatusCode,
+            Messages: current.Messages,
+            Label: BASELINE_SERIES.includes(name) ? `${labelPrefix}baseline ${name}` : `${labelPrefix}${name}`,
             Timestamps: [],
             Values: [],
         };
-        for (let time = StartTime; time < EndTime; time += Period) {
-            const shiftedTimestamp = time - timeOffset;
-            const shiftedIsoTimestamp = new Date(shiftedTimestamp * 1000).toISOString();
-            const value = fullMetricDataMap[shiftedIsoTimestamp];
-            if (value !== undefined) {
-                metric.Timestamps.push(time);
-                metric.Values.push(value);
+    });
+    const addValue = (name, ts, value) => {
+        series[name].Timestamps.push(ts);
+        series[name].Values.push(value);
+    };
+
+    timestamps.forEach((ts) => {
+        const values = shiftMaps.map((shiftMap) => shiftMap.get(ts)).filter((value) => value !== undefined);
+        const stats = getBaselineStats(values);
+        BASELINE_SERIES.forEach((name) => addValue(name, ts, stats[name]));
+
+        const currentValue = currentMap.get(ts);
+        if (currentValue !== undefined) {
+            addValue('delta', ts, currentValue - stats.mean);
+            if (stats.mean !== 0) {
+                addValue('percentChange', ts, ((currentValue - stats.mean) / stats.mean) * 100);
             }
         }
-        metrics.push(metric);
+    });
+
+    if (output === 'baseline') {
+        return [current, ...BASELINE_SERIES.map((name) => series[name])];
     }
-    return { MetricDataResults: metrics };
+    return [series[output]];
 };
 
-const getMetricDataEventHandler = async (event) => {
-    const { StartTime, EndTime, Period, Arguments } = event.GetMetricDataRequest;
-    const { metric, stat, shiftInterval, numberOfShifts } = validateGetMetricDataRequest(Arguments);
-    const metricStat = {
-        Metric: metric,
-        Stat: stat,
-        Period,
+const getMetricData = async (
+    { StartTime, EndTime, Period, region },
+    { metric, expression, stat, shiftInterval, numberOfShifts, alignment, output, resampling }
+) => {
+    const getQuery = (period) => {
+        if (expression) {
+            return { Id: 'e1', Expression: expression, Period: period };
+        }
+        return { Id: 'm1', MetricStat: { Metric: metric, Stat: stat, Period: period } };
     };
     const roundedStart = StartTime - (StartTime % Period);
-    const fullShiftStart = roundedStart - shiftInterval * numberOfShifts;
-    const gmdParams = {
-        MetricDataQueries: [{ Id: 'm1', MetricStat: metricStat }],
-        StartTime: new Date(fullShiftStart * 1000),
-        EndTime: new Date(EndTime * 1000),
-    };
-    const { region } = event;
-
-    const cloudwatch = new cw.CloudWatch({ region });
-    const gmdResponse = await cloudwatch.getMetricData(gmdParams);
-    const data = gmdResponse.MetricDataResults;
-    const fullMetricData = data[0];
-    const timeshiftedData = shiftFullMetricData(
-        metricStat,
-        fullMetricData,
+    const windows = getShiftWindows(roundedStart, EndTime, Period, shiftInterval, numberOfShifts, alignment);
+    const cloudwatch = getCloudWatchClient(region);
+    const shiftData = (await getShiftData(cloudwatch, getQuery, windows)).map((shiftSeries) =>
+        shiftSeries.map((series) => toGraphPeriod(series, Period, expression ? null : stat))
+    );
+    const shiftedSeries = shiftFullMetricData(
+        shiftData,
         roundedStart,
         EndTime,
         Period,
         shiftInterval,
-        numberOfShifts
+        numberOfShifts,
+        alignment,
+        !!expression
     );
-    return timeshiftedData;
-};
-
-exports.handler = async (event) => {
-    try {
-        switch (event.EventType) {
-            case 'GetMetricData':
-                return await getMetricDataEventHandler(event);
-            case 'DescribeGetMetricData':
-                return describeGetMetricDataEventHandler(event);
-            default:
-                throw Error(`Unknown EventType: ${event.EventType}`, { cause: 'Validation' });
-        }
-    } catch (err) {
-        const message = err.message || err;
-        const code = err.cause || 'InternalError';
-        return { Error: { Code: code, Value: message } };
+    const limitedSeries = limitShiftedSeries(shiftedSeries, numberOfShifts);
+    const MetricDataResults =
+        output === 'shifts'
+            ? limitedSeries.flatMap(({ metrics }) => metrics)
+            : limitedSeries.flatMap((series) => shiftedMetricDataToBaseline(series, output));
+    if (resampling) {
+        const grid = { StartTime: roundedStart, EndTime, Period };
+        return { MetricDataResults: MetricDataResults.map((series) => resampleSeries(series, grid, resampling)) };
     }
+    return { MetricDataResults };
 };
+
+exports.handler = createHandler({
+    arguments: [
+        {
+            type: 'string',
+            example: 'AWS/Usage, CallCount, Type, API, Resource, GetMetricData, Service, CloudWatch, Class, None',
+        },
+        { type: 'string', example: 'Sum' },
+        { type: 'string', example: 'P1D' },
+        { type: 'number', example: 7 },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+        { type: 'string', optional: true },
+    ],
+    description,
+    parseArguments,
+    getMetricData,
+});